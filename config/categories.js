@@ -0,0 +1,13 @@
+// Categories created on first start (the categories products used before the
+// taxonomy was stored); admins can rename, nest or add to them afterwards
+const DEFAULT_CATEGORIES = [
+  { name: 'Shirts', slug: 'shirts', sortOrder: 1, sizeChart: 'tops' },
+  { name: 'T-Shirts', slug: 't-shirt', sortOrder: 2, sizeChart: 'tops' },
+  { name: 'Pants', slug: 'pants', sortOrder: 3, sizeChart: 'bottoms' },
+  { name: 'Shoes', slug: 'shoes', sortOrder: 4 },
+  { name: 'Accessories', slug: 'accessories', sortOrder: 5 },
+];
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+};
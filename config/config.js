@@ -1,7 +1,42 @@
 module.exports = {
     jwtExpire:process.env.JWT_EXPIRE,
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
-    adminEmail: 'admin@gmail.com',
-    adminPassword: 'Admin@123',
     tokenExpiration: '24h',
-  };
\ No newline at end of file
+    accessTokenExpire: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+    accessTokenCookieMinutes: 15,
+    refreshTokenExpireDays: Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
+    emailVerificationExpire: '24h',
+    resetPasswordExpireMinutes: 30,
+    passwordMinLength: 8,
+    passwordHistoryCount: 5,
+    magicLinkExpireMinutes: 15,
+    twoFactorTokenExpire: '10m',
+    twoFactorIssuer: 'DressUp',
+    impersonationMinutes: 30,
+    maxLoginAttempts: 5,
+    lockoutBaseMinutes: 15,
+    lockoutMaxMinutes: 24 * 60,
+    maxKnownDevices: 10,
+    googleLinkTokenExpire: '10m',
+    accountDeletionGraceDays: 30,
+    dataExportExpireHours: 48,
+    // Exports still pending after this were interrupted (e.g. by a restart)
+    dataExportPendingTimeoutMinutes: 30,
+    guestCartExpireDays: 30,
+    guestConversionExpire: '30d',
+    requireVerifiedEmailForCheckout: process.env.REQUIRE_VERIFIED_EMAIL === 'true',
+    requireVerifiedPhoneForCheckout: process.env.REQUIRE_VERIFIED_PHONE === 'true',
+    phoneOtpExpireMinutes: 10,
+    phoneOtpMaxAttempts: 5,
+    phoneOtpResendSeconds: 60,
+    phoneOtpMaxPerHour: 5,
+    // Relevance multipliers for keyword search: +inStock when in stock, +rating scaled by stars/5
+    searchBoosts: {
+        inStock: process.env.SEARCH_BOOST_IN_STOCK ? Number(process.env.SEARCH_BOOST_IN_STOCK) : 0.5,
+        rating: process.env.SEARCH_BOOST_RATING ? Number(process.env.SEARCH_BOOST_RATING) : 0.3,
+    },
+    searchVocabularyCacheSeconds: 300,
+    searchSuggestLimit: 5,
+    // Past searches are only suggested once this many different IP addresses have run them
+    searchSuggestMinCount: 3,
+  };
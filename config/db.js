@@ -1,9 +1,22 @@
 const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGO_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`.cyan.underline);
+
+    await Role.ensureDefaults();
+    await User.retireLegacyAdmin();
+    await Category.ensureDefaults();
+    await Product.ensureSearchTokens();
+
+    // Carts used to require a user; rebuild the user index as sparse so guest carts fit
+    await Cart.syncIndexes();
   } catch (error) {
     console.error(`Error: ${error.message}`.red.bold);
     process.exit(1);
@@ -0,0 +1,47 @@
+// Every permission an admin-area route can require.
+// The built-in 'admin' role always has all of them.
+const PERMISSIONS = [
+  'users:read',
+  'users:manage',
+  'users:impersonate',
+  'products:read',
+  'products:write',
+  'reviews:moderate',
+  'orders:read',
+  'orders:update',
+  'orders:delete',
+  'reports:read',
+  'roles:manage',
+  'settings:manage',
+  'apikeys:manage',
+];
+
+// Permissions that can be granted to partner API keys (keys can never manage access
+// or sign in as customers)
+const API_KEY_SCOPES = PERMISSIONS.filter(
+  p => !['users:impersonate', 'roles:manage', 'settings:manage', 'apikeys:manage'].includes(p)
+);
+
+// Staff roles created on first start; admins can edit or remove them afterwards
+const DEFAULT_ROLES = [
+  {
+    name: 'warehouse',
+    description: 'Fulfilment staff: view products and process orders',
+    permissions: ['products:read', 'orders:read', 'orders:update'],
+  },
+  {
+    name: 'support',
+    description: 'Customer support: view customers and orders, moderate reviews',
+    permissions: ['users:read', 'orders:read', 'orders:update', 'products:read', 'reviews:moderate'],
+  },
+];
+
+// Role names that are not stored in the Role collection
+const BUILT_IN_ROLES = ['user', 'admin'];
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  DEFAULT_ROLES,
+  BUILT_IN_ROLES,
+};
@@ -0,0 +1,30 @@
+// Boys' size charts, assigned to product categories by name (Category.sizeChart). Rows are ordered smallest to largest;
+// each range is [min, max] in years / cm / kg. `labels` are the size names a
+// product may list for that row (letter sizes and age sizes).
+const TOPS = [
+  { labels: ['XXS', '3-4Y'], age: [3, 4], height: [98, 110], chest: [53, 56], weight: [14, 18] },
+  { labels: ['XS', '5-6Y'], age: [5, 6], height: [110, 122], chest: [56, 61], weight: [18, 23] },
+  { labels: ['S', '7-8Y'], age: [7, 8], height: [122, 134], chest: [61, 66], weight: [23, 29] },
+  { labels: ['M', '9-10Y'], age: [9, 10], height: [134, 146], chest: [66, 72], weight: [29, 37] },
+  { labels: ['L', '11-12Y'], age: [11, 12], height: [146, 158], chest: [72, 78], weight: [37, 46] },
+  { labels: ['XL', '13-14Y'], age: [13, 14], height: [158, 170], chest: [78, 86], weight: [46, 56] },
+  { labels: ['XXL', '15-16Y'], age: [15, 16], height: [170, 180], chest: [86, 94], weight: [56, 68] },
+];
+
+const BOTTOMS = [
+  { labels: ['XXS', '3-4Y'], age: [3, 4], height: [98, 110], waist: [51, 53], weight: [14, 18] },
+  { labels: ['XS', '5-6Y'], age: [5, 6], height: [110, 122], waist: [53, 56], weight: [18, 23] },
+  { labels: ['S', '7-8Y'], age: [7, 8], height: [122, 134], waist: [56, 60], weight: [23, 29] },
+  { labels: ['M', '9-10Y'], age: [9, 10], height: [134, 146], waist: [60, 64], weight: [29, 37] },
+  { labels: ['L', '11-12Y'], age: [11, 12], height: [146, 158], waist: [64, 68], weight: [37, 46] },
+  { labels: ['XL', '13-14Y'], age: [13, 14], height: [158, 170], waist: [68, 73], weight: [46, 56] },
+  { labels: ['XXL', '15-16Y'], age: [15, 16], height: [170, 180], waist: [73, 79], weight: [56, 68] },
+];
+
+// Categories without a chart (shoes, accessories) get no recommendation
+const SIZE_CHARTS = {
+  tops: { chart: TOPS, keyMeasurement: 'chest' },
+  bottoms: { chart: BOTTOMS, keyMeasurement: 'waist' },
+};
+
+module.exports = SIZE_CHARTS;
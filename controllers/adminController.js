@@ -1,8 +1,15 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const Order = require('../models/Order');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
+const { validateRegistration, validateName } = require('../utils/registrationValidator');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { checkVariants, variantSkus } = require('../utils/productValidator');
+const { purgeUser } = require('../utils/accountDeletion');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
@@ -24,9 +31,29 @@ exports.getUsers = asyncHandler(async (req, res, next) => {
 exports.getUser = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.params.id);
 
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  const [activeSessions, loginHistory] = await Promise.all([
+    Session.find({
+      user: user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() },
+    })
+      .select('authMethod browser os platform isMobile ip createdAt lastUsedAt expiresAt')
+      .sort('-lastUsedAt'),
+    LoginHistory.find({ user: user._id })
+      .select('-user')
+      .sort('-createdAt')
+      .limit(50),
+  ]);
+
   res.status(200).json({
     success: true,
     data: user,
+    activeSessions,
+    loginHistory,
   });
 });
 
@@ -34,7 +61,31 @@ exports.getUser = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/admin/users
 // @access  Private/Admin
 exports.createUser = asyncHandler(async (req, res, next) => {
-  const user = await User.create(req.body);
+  // Handing out staff roles is limited to role managers
+  if (req.body.role && req.body.role !== 'user' && !req.permissions.includes('roles:manage')) {
+    return next(new ErrorResponse('Not authorized to assign staff roles', 403));
+  }
+
+  const { error: policyError, name, email } = await validateRegistration(req.body);
+  if (policyError) {
+    return next(new ErrorResponse(policyError, 400));
+  }
+
+  // Same password policy as self-registration
+  const passwordError = await validatePassword(req.body.password);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
+  // Only profile fields; security settings (2FA, lockouts, linked providers)
+  // stay with the account owner
+  const user = await User.create({
+    name,
+    email,
+    password: req.body.password,
+    phone: req.body.phone,
+    role: req.body.role,
+  });
 
   res.status(201).json({
     success: true,
@@ -46,14 +97,60 @@ exports.createUser = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/admin/users/:id
 // @access  Private/Admin
 exports.updateUser = asyncHandler(async (req, res, next) => {
-  const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+  if (req.body.role !== undefined && !req.permissions.includes('roles:manage')) {
+    return next(new ErrorResponse('Not authorized to change user roles', 403));
+  }
+
+  // Updates skip the save hook, so a password here would be stored unhashed
+  if (req.body.password !== undefined) {
+    return next(new ErrorResponse('Passwords cannot be changed here. Ask the user to reset their password', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  // Staff and admin accounts can only be edited by role managers
+  if (user.isStaff() && !req.permissions.includes('roles:manage')) {
+    return next(new ErrorResponse('Not authorized to edit staff accounts', 403));
+  }
+
+  // Only these fields can be changed here; email, 2FA, lockouts and linked
+  // providers stay with the account owner
+  const fieldsToUpdate = {};
+
+  if (req.body.name !== undefined) {
+    const { error, name } = await validateName(req.body.name);
+    if (error) {
+      return next(new ErrorResponse(error, 400));
+    }
+    fieldsToUpdate.name = name;
+  }
+
+  if (req.body.phone !== undefined) {
+    fieldsToUpdate.phone = req.body.phone;
+
+    // A different number has to be verified again
+    if (req.body.phone !== user.phone) {
+      fieldsToUpdate.phoneVerified = false;
+      fieldsToUpdate.phoneVerifiedAt = null;
+    }
+  }
+
+  if (req.body.role !== undefined) {
+    fieldsToUpdate.role = req.body.role;
+  }
+
+  const updatedUser = await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
     new: true,
     runValidators: true,
   });
 
   res.status(200).json({
     success: true,
-    data: user,
+    data: updatedUser,
   });
 });
 
@@ -61,11 +158,35 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
 // @route   DELETE /api/v1/admin/users/:id
 // @access  Private/Admin
 exports.deleteUser = asyncHandler(async (req, res, next) => {
-  await User.findByIdAndDelete(req.params.id);
+  if (req.params.id === req.user.id) {
+    return next(new ErrorResponse('You cannot delete your own account from the admin panel', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  // Staff and admin accounts can only be removed by role managers
+  if (user.isStaff() && !req.permissions.includes('roles:manage')) {
+    return next(new ErrorResponse('Not authorized to delete staff accounts', 403));
+  }
+
+  if (user.role === 'admin' && (await User.countDocuments({ role: 'admin' })) <= 1) {
+    return next(new ErrorResponse('The last admin account cannot be deleted', 400));
+  }
+
+  // Same cleanup as a customer deletion, without the grace period
+  const result = await purgeUser(user._id);
+
+  if (!result) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
 
   res.status(200).json({
     success: true,
-    data: {},
+    data: result,
   });
 });
 
@@ -80,10 +201,13 @@ exports.getProducts = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/admin/products
 // @access  Private/Admin
 exports.createProduct = asyncHandler(async (req, res, next) => {
-  const { name, description, price, discountPrice, category, stock, size } = req.body;
+  const { name, description, price, discountPrice, category, stock, size, variants } = req.body;
+
+  // Size and stock come from the variants when they are given
+  const hasVariants = variants !== undefined;
 
   // Validate required fields
-  if (!name || !description || !price || !category || !stock || !size) {
+  if (!name || !description || !price || !category || (!hasVariants && (!stock || !size))) {
     return next(new ErrorResponse('Please provide all required fields', 400));
   }
 
@@ -98,13 +222,13 @@ exports.createProduct = asyncHandler(async (req, res, next) => {
   }
 
   // Validate category
-  const validCategories = ['shirts', 'pants', 'shoes', 'accessories', 't-shirt'];
-  if (!validCategories.includes(category.toLowerCase())) {
+  if (!(await Category.isAssignable(category.toLowerCase()))) {
+    const validCategories = await Category.activeSlugs();
     return next(new ErrorResponse(`Invalid product category. Valid categories are: ${validCategories.join(', ')}`, 400));
   }
 
   // Validate stock (1-100)
-  if (stock < 1 || stock > 100) {
+  if (!hasVariants && (stock < 1 || stock > 100)) {
     return next(new ErrorResponse('Stock must be between 1 and 100', 400));
   }
 
@@ -132,14 +256,27 @@ exports.createProduct = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Product with name '${name}' already exists`, 400));
   }
 
-  // Validate size array (1-10 sizes, each 1-10 characters)
-  if (!Array.isArray(size) || size.length === 0 || size.length > 10) {
-    return next(new ErrorResponse('Please provide 1 to 10 sizes', 400));
-  }
-  
-  for (const s of size) {
-    if (typeof s !== 'string' || s.length < 1 || s.length > 10) {
-      return next(new ErrorResponse('Each size must be 1 to 10 characters', 400));
+  if (hasVariants) {
+    // Validate variants (size, color, SKU, barcode, stock and price of each)
+    const variantErrors = checkVariants(variants);
+    if (variantErrors.length > 0) {
+      return next(new ErrorResponse(variantErrors[0], 400, { errors: variantErrors }));
+    }
+
+    const existingSku = await Product.findOne({ 'variants.sku': { $in: variantSkus(variants) } });
+    if (existingSku) {
+      return next(new ErrorResponse(`One or more SKUs are already used by '${existingSku.name}'`, 400));
+    }
+  } else {
+    // Validate size array (1-10 sizes, each 1-10 characters)
+    if (!Array.isArray(size) || size.length === 0 || size.length > 10) {
+      return next(new ErrorResponse('Please provide 1 to 10 sizes', 400));
+    }
+
+    for (const s of size) {
+      if (typeof s !== 'string' || s.length < 1 || s.length > 10) {
+        return next(new ErrorResponse('Each size must be 1 to 10 characters', 400));
+      }
     }
   }
 
@@ -182,10 +319,28 @@ exports.updateProduct = asyncHandler(async (req, res, next) => {
     );
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  if (req.body.variants !== undefined) {
+    const variantErrors = checkVariants(req.body.variants);
+    if (variantErrors.length > 0) {
+      return next(new ErrorResponse(variantErrors[0], 400, { errors: variantErrors }));
+    }
+
+    const existingSku = await Product.findOne({
+      _id: { $ne: product._id },
+      'variants.sku': { $in: variantSkus(req.body.variants) },
+    });
+    if (existingSku) {
+      return next(new ErrorResponse(`One or more SKUs are already used by '${existingSku.name}'`, 400));
+    }
+  }
+
+  // Saved through the document so size and stock stay derived from the variants
+  const { variants, ...fields } = req.body;
+  product.set(fields);
+  if (variants !== undefined) {
+    product.mergeVariants(variants);
+  }
+  await product.save();
 
   res.status(200).json({
     success: true,
@@ -254,12 +409,7 @@ exports.updateOrder = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('You have already delivered this order', 400));
   }
 
-  if (req.body.status === 'Shipped') {
-    order.orderItems.forEach(async (item) => {
-      await updateStock(item.product, item.quantity);
-    });
-  }
-
+  // Stock was already taken when the order was placed
   order.orderStatus = req.body.status;
 
   if (req.body.status === 'Delivered') {
@@ -325,13 +475,6 @@ exports.getDashboardStats = asyncHandler(async (req, res, next) => {
   });
 });
 
-async function updateStock(id, quantity) {
-  const product = await Product.findById(id);
-
-  product.stock -= quantity;
-
-  await product.save({ validateBeforeSave: false });
-}
 //pdf
 // Helper function to create PDF with logo and custom header
 async function createPdfWithHeader(res, filename, title) {
@@ -507,7 +650,7 @@ exports.generateOrdersPdf = asyncHandler(async (req, res, next) => {
       table.rows.push([
         (index + 1).toString(),
         order._id.toString().substring(0, 8),
-        order.user.name,
+        order.user ? order.user.name : order.guestName ? `${order.guestName} (guest)` : 'Deleted customer',
         `$${order.totalPrice.toFixed(2)}`,
         order.orderStatus,
         new Date(order.createdAt).toLocaleDateString()
@@ -911,10 +1054,11 @@ exports.importProducts = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Maximum 100 products can be imported at once', 400));
   }
 
-  const validCategories = ['shirts', 'pants', 'shoes', 'accessories', 't-shirt'];
+  const validCategories = await Category.activeSlugs();
   const errors = [];
   const productsToImport = [];
   const productNames = new Set();
+  const batchSkus = new Set();
 
   // Validate each product
   for (let i = 0; i < products.length; i++) {
@@ -923,7 +1067,10 @@ exports.importProducts = asyncHandler(async (req, res, next) => {
     const productErrors = [];
 
     // Required fields check
-    const requiredFields = ['name', 'description', 'price', 'category', 'stock', 'size'];
+    const hasVariants = product.variants !== undefined;
+    const requiredFields = hasVariants
+      ? ['name', 'description', 'price', 'category']
+      : ['name', 'description', 'price', 'category', 'stock', 'size'];
     const missingFields = requiredFields.filter(field => !product[field]);
     if (missingFields.length > 0) {
       productErrors.push(`Missing required fields: ${missingFields.join(', ')}`);
@@ -952,7 +1099,7 @@ exports.importProducts = asyncHandler(async (req, res, next) => {
     }
 
     // Stock validation
-    if (product.stock && (product.stock < 1 || product.stock > 100)) {
+    if (!hasVariants && product.stock && (product.stock < 1 || product.stock > 100)) {
       productErrors.push('Stock must be between 1 and 100');
     }
 
@@ -971,8 +1118,20 @@ exports.importProducts = asyncHandler(async (req, res, next) => {
       }
     }
 
+    // Variant validation; SKUs must also be unique across the batch
+    if (hasVariants) {
+      productErrors.push(...checkVariants(product.variants));
+
+      for (const sku of variantSkus(product.variants)) {
+        if (batchSkus.has(sku)) {
+          productErrors.push(`SKU ${sku} is used by another product in the import batch`);
+        }
+        batchSkus.add(sku);
+      }
+    }
+
     // Size validation
-    if (product.size) {
+    if (!hasVariants && product.size) {
       if (!Array.isArray(product.size) || product.size.length === 0 || product.size.length > 10) {
         productErrors.push('Please provide 1 to 10 sizes');
       } else {
@@ -1032,6 +1191,18 @@ exports.importProducts = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Check for SKUs already used by products in the database
+  if (batchSkus.size > 0) {
+    const skuProducts = await Product.find({ 'variants.sku': { $in: [...batchSkus] } });
+    skuProducts.forEach(prod => {
+      const taken = prod.variants.filter(v => batchSkus.has(v.sku)).map(v => v.sku);
+      errors.push({
+        product: prod.name,
+        errors: [`SKUs already exist in database: ${taken.join(', ')}`]
+      });
+    });
+  }
+
   // If there are any errors, return them
   if (errors.length > 0) {
     return next(new ErrorResponse('Some products failed validation', 400, { errors }));
@@ -0,0 +1,129 @@
+const ApiKey = require('../models/ApiKey');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+
+// @desc    Get all API keys
+// @route   GET /api/v1/admin/api-keys
+// @access  Private/Staff (apikeys:manage)
+exports.getApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await ApiKey.find()
+    .populate('createdBy', 'name email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys,
+  });
+});
+
+// @desc    Create API key
+// @route   POST /api/v1/admin/api-keys
+// @access  Private/Staff (apikeys:manage)
+exports.createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes = [], rateLimit, expiresAt } = req.body;
+
+  if (!Array.isArray(scopes)) {
+    return next(new ErrorResponse('Scopes must be an array of permissions', 400));
+  }
+
+  // Nobody can hand out more access than they have themselves
+  const notHeld = scopes.filter(scope => !req.permissions.includes(scope));
+  if (notHeld.length > 0) {
+    return next(new ErrorResponse(`You cannot grant scopes you do not hold: ${notHeld.join(', ')}`, 403));
+  }
+
+  const apiKey = new ApiKey({
+    name,
+    scopes,
+    rateLimit,
+    expiresAt,
+    createdBy: req.user.id,
+  });
+  const key = apiKey.generateKey();
+  await apiKey.save();
+
+  // The raw key is only ever returned here and on rotation
+  res.status(201).json({
+    success: true,
+    data: apiKey,
+    key,
+  });
+});
+
+// @desc    Rotate API key secret (the old key stops working immediately)
+// @route   POST /api/v1/admin/api-keys/:id/rotate
+// @access  Private/Staff (apikeys:manage)
+exports.rotateApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey || !apiKey.isActive()) {
+    return next(new ErrorResponse(`Active API key not found with id of ${req.params.id}`, 404));
+  }
+
+  const key = apiKey.generateKey();
+  apiKey.rotatedAt = Date.now();
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    data: apiKey,
+    key,
+  });
+});
+
+// @desc    Update API key name, scopes or rate limit
+// @route   PUT /api/v1/admin/api-keys/:id
+// @access  Private/Staff (apikeys:manage)
+exports.updateApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey || !apiKey.isActive()) {
+    return next(new ErrorResponse(`Active API key not found with id of ${req.params.id}`, 404));
+  }
+
+  const { name, scopes, rateLimit } = req.body;
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes)) {
+      return next(new ErrorResponse('Scopes must be an array of permissions', 400));
+    }
+
+    const notHeld = scopes.filter(scope => !req.permissions.includes(scope));
+    if (notHeld.length > 0) {
+      return next(new ErrorResponse(`You cannot grant scopes you do not hold: ${notHeld.join(', ')}`, 403));
+    }
+    apiKey.scopes = scopes;
+  }
+
+  if (name !== undefined) apiKey.name = name;
+  if (rateLimit !== undefined) apiKey.rateLimit = rateLimit;
+
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    data: apiKey,
+  });
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/v1/admin/api-keys/:id
+// @access  Private/Staff (apikeys:manage)
+exports.revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    return next(new ErrorResponse(`API key not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: apiKey,
+  });
+});
@@ -1,14 +1,34 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const ImpersonationLog = require('../models/ImpersonationLog');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
 const sendEmail = require('../utils/emailService');
 const { OAuth2Client } = require('google-auth-library');
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 const bcrypt = require('bcryptjs');
-const emailValidator = require('email-validator');
 const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { validateRegistration } = require('../utils/registrationValidator');
+const { validatePassword } = require('../utils/passwordPolicy');
+const {
+  sendTokenResponse,
+  rotateSessionTokens,
+  clearAuthCookies,
+  setCsrfCookie,
+  setMagicLinkDeviceCookie,
+  clearMagicLinkDeviceCookie,
+  clearCartTokenCookie,
+} = require('../utils/tokenResponse');
+const {
+  LOGIN_SECURITY_FIELDS,
+  handleFailedLogin,
+  handleSuccessfulLogin,
+} = require('../utils/loginSecurity');
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
@@ -19,88 +39,23 @@ exports.register = asyncHandler(async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
-    // ===== TRIM FIELDS =====
-    const trimmedName = name?.trim();
-    const trimmedEmail = email?.trim().toLowerCase();
-
-    // ===== NAME VALIDATION =====
-    const nameRegex = /^[A-Za-z ]+$/;
-    const repeatedCharRegex = /(.)\1{2,}/;
-
-    if (!trimmedName || !nameRegex.test(trimmedName)) {
-      return next(new ErrorResponse("Name must contain only letters and spaces.", 400));
-    }
-
-    if (trimmedName.length < 3) {
-      return next(new ErrorResponse("Name must be at least 3 characters long.", 400));
-    }
-
-    if (repeatedCharRegex.test(trimmedName.replace(/\s/g, ''))) {
-      return next(new ErrorResponse("Name cannot have repetitive characters like 'aaa' or 'sss'.", 400));
-    }
-
-    // ===== EMAIL VALIDATION =====
-    if (!trimmedEmail || !emailValidator.validate(trimmedEmail)) {
-      return next(new ErrorResponse("Please enter a valid email address.", 400));
-    }
-
-    const emailParts = trimmedEmail.split('@');
-    if (emailParts.length !== 2) {
-      return next(new ErrorResponse("Invalid email format.", 400));
-    }
-
-    const emailDomain = emailParts[1].toLowerCase().trim();
-    const domainParts = emailDomain.split('.');
-    const tld = domainParts[domainParts.length - 1];
-
-    const validTLDs = ['com', 'net', 'org', 'in', 'co', 'edu', 'gov', 'io', 'info', 'ajce'];
-    if (!validTLDs.includes(tld)) {
-      return next(new ErrorResponse(`Unsupported email TLD '.${tld}'`, 400));
-    }
-
-    const blockedSubstrings = ['.uds', '.ddd'];
-    if (blockedSubstrings.some(sub => trimmedEmail.includes(sub))) {
-      return next(new ErrorResponse("Email format not allowed (e.g., '.uds', '.ddd').", 400));
-    }
+    // ===== NAME & EMAIL VALIDATION (admin-managed registration policy) =====
+    const {
+      error: policyError,
+      name: trimmedName,
+      email: trimmedEmail,
+    } = await validateRegistration({ name, email });
 
-    const allowedDomains = [
-      'gmail.com',
-      'yahoo.com',
-      'outlook.com',
-      'protonmail.com',
-      'icloud.com',
-      'mca.ajce.in',
-      'duck.com'
-    ];
-
-    if (!allowedDomains.includes(emailDomain)) {
-      return next(new ErrorResponse(`Email domain '${emailDomain}' is not allowed.`, 400));
+    if (policyError) {
+      return next(new ErrorResponse(policyError, 400));
     }
 
-    if (trimmedEmail.includes('--') || /\d-\d/.test(trimmedEmail)) {
-      return next(new ErrorResponse("Email format not allowed.", 400));
+    // ===== PASSWORD VALIDATION (shared password policy) =====
+    const passwordError = await validatePassword(password);
+    if (passwordError) {
+      return next(new ErrorResponse(passwordError, 400));
     }
 
-    // ===== PASSWORD VALIDATION =====
-if (!password) {
-  return next(new ErrorResponse("Password is required.", 400));
-}
-
-if (/\s/.test(password)) {
-  return next(new ErrorResponse("Password cannot contain spaces.", 400));
-}
-
-const trimmedPassword = password.trim();
-
-const strongPasswordRegex = /^(?=.*[A-Z])(?=.*[a-z])(?=.*\d)(?=.*[@#$%^&+=!]).{8,}$/;
-if (!strongPasswordRegex.test(trimmedPassword)) {
-  return next(new ErrorResponse(
-    "Password must be at least 8 characters and include uppercase, lowercase, number, and special character.",
-    400
-  ));
-}
-
-
     // ===== CHECK IF USER EXISTS =====
     const existingUser = await User.findOne({ email: trimmedEmail });
     if (existingUser) {
@@ -111,7 +66,7 @@ if (!strongPasswordRegex.test(trimmedPassword)) {
     const user = await User.create({
       name: trimmedName,
       email: trimmedEmail,
-      password: trimmedPassword //  Save trimmed password; hashing happens inside Mongoose
+      password // hashing happens inside Mongoose
     });
 
     // ===== SEND WELCOME EMAIL =====
@@ -176,8 +131,16 @@ if (!strongPasswordRegex.test(trimmedPassword)) {
       // Don't fail registration if email fails
     }
 
+    // ===== SEND VERIFICATION EMAIL =====
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (emailError) {
+      console.error('Verification email failed:', emailError);
+      // User can request a new link from /auth/resendverification
+    }
+
     // ===== SEND TOKEN =====
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res, { authMethod: 'register' });
 
   } catch (error) {
     console.error("Registration error:", error);
@@ -198,51 +161,522 @@ exports.login = asyncHandler(async (req, res, next) => {
   }
 
   // Check for user
-  const user = await User.findOne({ email }).select('+password');
+  const user = await User.findOne({ email }).select(`+password ${LOGIN_SECURITY_FIELDS}`);
 
   if (!user) {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
 
   if (!isMatch) {
+    await handleFailedLogin(user, req);
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  // Admins and staff must go through the two-factor login
+  if (user.isStaff()) {
+    return next(new ErrorResponse('Staff accounts must sign in through /api/v1/auth/admin/login', 403));
+  }
+
+  await handleSuccessfulLogin(user, req);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Email a passwordless sign-in link
+// @route   POST /api/v1/auth/magic-link
+// @access  Public
+exports.requestMagicLink = asyncHandler(async (req, res, next) => {
+  const email = req.body.email?.trim().toLowerCase();
+
+  if (!email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  // The link is bound to this device. A device secret is issued whether or not
+  // the account exists, so the response can't be used to enumerate emails.
+  const deviceSecret = crypto.randomBytes(24).toString('hex');
+  setMagicLinkDeviceCookie(res, deviceSecret);
+
+  const response = {
+    success: true,
+    deviceId: deviceSecret,
+    data: { message: 'If an account exists for that email, a sign-in link has been sent' },
+  };
+
+  const user = await User.findOne({ email }).select(LOGIN_SECURITY_FIELDS);
+
+  // Staff must use the two-factor login and locked accounts must unlock first
+  if (!user || user.isStaff() || user.isLocked()) {
+    return res.status(200).json(response);
+  }
+
+  const magicToken = user.getMagicLinkToken(deviceSecret);
+  await user.save({ validateBeforeSave: false });
+
+  const magicUrl = `${process.env.FRONTEND_URL || 'https://yourstore.com'}/magic-login/${magicToken}`;
+  const ua = req.useragent || {};
+  const device = [ua.browser, ua.os].filter(Boolean).join(' on ') || 'an unknown device';
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'DressUp - Your sign-in link',
+      message: `
+        Dear ${user.name},
+
+        Use the link below to sign in to DressUp without a password:
+
+        ${magicUrl}
+
+        The link was requested from ${device} and only works on that device. It expires in ${config.magicLinkExpireMinutes} minutes and can only be used once. If you did not request it, you can ignore this email.
+
+        Warm regards,
+        The DressUp Team
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #2c3e50;">Sign in to DressUp</h1>
+          <p style="font-size: 16px;">Dear ${user.name},</p>
+          <p>Use the button below to sign in without a password.</p>
+
+          <div style="margin-top: 30px;">
+            <a href="${magicUrl}"
+               style="background-color: #2c3e50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Sign In
+            </a>
+          </div>
+
+          <p style="margin-top: 30px;">The link was requested from ${device} and only works on that device. It expires in ${config.magicLinkExpireMinutes} minutes and can only be used once. If you did not request it, you can ignore this email.</p>
+
+          <p>Warm regards,<br>The DressUp Team</p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('Magic link email failed:', err);
+
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+    user.magicLinkDevice = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Still the generic response: an error here would reveal that the account exists
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Sign in with a magic link
+// @route   POST /api/v1/auth/magic-link/:token
+// @access  Public
+exports.magicLinkLogin = asyncHandler(async (req, res, next) => {
+  const magicLinkToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    magicLinkToken,
+    magicLinkExpire: { $gt: Date.now() },
+  }).select(`+magicLinkDevice ${LOGIN_SECURITY_FIELDS}`);
+
+  if (!user) {
+    return next(new ErrorResponse('Sign-in link is invalid or has expired', 400));
+  }
+
+  // The link must be opened on the device that requested it
+  const deviceSecret = req.cookies?.magicLinkDevice || req.body.deviceId;
+  const deviceHash = deviceSecret
+    ? crypto.createHash('sha256').update(String(deviceSecret)).digest('hex')
+    : '';
+
+  if (
+    deviceHash.length !== user.magicLinkDevice.length ||
+    !crypto.timingSafeEqual(Buffer.from(deviceHash), Buffer.from(user.magicLinkDevice))
+  ) {
+    return next(new ErrorResponse('Please open the sign-in link on the device you requested it from', 401));
+  }
+
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
+  if (user.isStaff()) {
+    return next(new ErrorResponse('Staff accounts must sign in through /api/v1/auth/admin/login', 403));
+  }
+
+  // Burn the link
+  user.magicLinkToken = undefined;
+  user.magicLinkExpire = undefined;
+  user.magicLinkDevice = undefined;
+
+  // Following a link sent to the address proves the user owns it
+  if (!user.isVerified) {
+    user.isVerified = true;
+    user.verifiedAt = Date.now();
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  clearMagicLinkDeviceCookie(res);
+  await handleSuccessfulLogin(user, req);
+
+  await sendTokenResponse(user, 200, req, res, { authMethod: 'magic-link' });
+});
+
+// @desc    Turn a guest checkout into an account, attaching the guest's orders
+// @route   POST /api/v1/auth/guest/convert/:token
+// @access  Public (link from the guest order confirmation)
+exports.convertGuestAccount = asyncHandler(async (req, res, next) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(req.params.token, config.jwtSecret);
+  } catch (err) {
+    return next(new ErrorResponse('Account link is invalid or has expired', 400));
+  }
+
+  if (decoded.purpose !== 'guest-conversion') {
+    return next(new ErrorResponse('Account link is invalid or has expired', 400));
+  }
+
+  const { email } = decoded;
+  const guestOrders = { guestEmail: email, user: { $exists: false } };
+
+  // Someone already registered with this address: hand the orders to that account
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    const { modifiedCount } = await Order.updateMany(guestOrders, {
+      user: existingUser._id,
+      $unset: { guestEmail: 1, guestName: 1 },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'An account already exists for this email. Your orders have been added to it; please sign in.',
+        attachedOrders: modifiedCount,
+      },
+    });
+  }
+
+  const lastOrder = await Order.findOne(guestOrders).sort('-createdAt');
+  const { error: policyError, name } = await validateRegistration({
+    name: req.body.name || lastOrder?.guestName,
+    email,
+  });
+
+  if (policyError) {
+    return next(new ErrorResponse(policyError, 400));
+  }
+
+  const passwordError = await validatePassword(req.body.password);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
+  // The link was emailed to this address, so it counts as verified
+  const user = await User.create({
+    name,
+    email,
+    password: req.body.password,
+    isVerified: true,
+    verifiedAt: Date.now(),
+  });
+
+  const { modifiedCount } = await Order.updateMany(guestOrders, {
+    user: user._id,
+    $unset: { guestEmail: 1, guestName: 1 },
+  });
+
+  // Keep whatever is still in the guest cart
+  const cartToken = req.headers['x-cart-token'] || req.cookies?.cartToken;
+  if (cartToken && cartToken !== 'none') {
+    await Cart.mergeGuestCart(user._id, cartToken);
+    clearCartTokenCookie(res);
+  }
+
+  await sendTokenResponse(user, 201, req, res, {
+    authMethod: 'register',
+    body: { attachedOrders: modifiedCount },
+  });
 });
 
-// @desc    Admin login
+// @desc    Create the first admin account (only works while no admin exists)
+// @route   POST /api/v1/auth/admin/setup
+// @access  Public (requires ADMIN_SETUP_TOKEN)
+exports.adminSetup = asyncHandler(async (req, res, next) => {
+  const { setupToken, name, email, password } = req.body;
+  const expectedToken = process.env.ADMIN_SETUP_TOKEN;
+
+  if (!expectedToken) {
+    return next(new ErrorResponse('Admin setup is disabled', 403));
+  }
+
+  if (
+    typeof setupToken !== 'string' ||
+    setupToken.length !== expectedToken.length ||
+    !crypto.timingSafeEqual(Buffer.from(setupToken), Buffer.from(expectedToken))
+  ) {
+    return next(new ErrorResponse('Invalid setup token', 401));
+  }
+
+  const adminExists = await User.exists({ role: 'admin' });
+  if (adminExists) {
+    return next(new ErrorResponse('Admin setup has already been completed', 403));
+  }
+
+  if (!name || !email || !password) {
+    return next(new ErrorResponse('Please provide name, email and password', 400));
+  }
+
+  const passwordError = await validatePassword(password);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
+  const admin = await User.create({
+    name: name.trim(),
+    email: email.trim().toLowerCase(),
+    password,
+    role: 'admin',
+    isVerified: true,
+    verifiedAt: Date.now(),
+  });
+
+  // The new admin still has to enrol in 2FA before getting a session
+  res.status(201).json({
+    success: true,
+    twoFactorSetupRequired: true,
+    tempToken: getTwoFactorToken(admin),
+  });
+});
+
+// @desc    Admin/staff login (first step: password)
 // @route   POST /api/v1/auth/admin/login
 // @access  Public
 exports.adminLogin = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
-  // Check if the provided email matches the admin email
-  if (email !== config.adminEmail) {
+  if (!email || !password) {
+    return next(new ErrorResponse('Please provide an email and password', 400));
+  }
+
+  const admin = await User.findOne({
+    email: email.trim().toLowerCase(),
+    role: { $ne: 'user' },
+  }).select(`+password ${LOGIN_SECURITY_FIELDS}`);
+
+  if (!admin) {
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  // Check if the provided password matches the admin password
-  if (password !== config.adminPassword) {
+  if (admin.isLocked()) {
+    return next(lockedError(admin));
+  }
+
+  if (!(await admin.matchPassword(password))) {
+    await handleFailedLogin(admin, req);
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  // Find or create admin user
-  let admin = await User.findOne({ email: config.adminEmail });
+  // Password is only the first factor; the session is issued after the TOTP step
+  res.status(200).json({
+    success: true,
+    twoFactorRequired: admin.twoFactorEnabled,
+    twoFactorSetupRequired: !admin.twoFactorEnabled,
+    tempToken: getTwoFactorToken(admin),
+  });
+});
+
+// @desc    Start TOTP enrolment for an admin or staff account
+// @route   POST /api/v1/auth/admin/2fa/setup
+// @access  Public (requires 2FA temp token)
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const admin = await getTwoFactorUser(req.body.tempToken);
+
+  if (!admin) {
+    return next(new ErrorResponse('Two-factor session is invalid or has expired', 401));
+  }
+
+  if (admin.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  admin.twoFactorSecret = totp.generateSecret();
+  await admin.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret: admin.twoFactorSecret,
+      otpauthUrl: totp.keyUri(admin.email, config.twoFactorIssuer, admin.twoFactorSecret),
+    },
+  });
+});
+
+// @desc    Confirm TOTP enrolment and sign in
+// @route   POST /api/v1/auth/admin/2fa/enable
+// @access  Public (requires 2FA temp token)
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const admin = await getTwoFactorUser(req.body.tempToken);
 
   if (!admin) {
-    admin = await User.create({
-      name: 'Admin',
-      email: config.adminEmail,
-      password: config.adminPassword,
-      role: 'admin',
-    });
+    return next(new ErrorResponse('Two-factor session is invalid or has expired', 401));
+  }
+
+  if (admin.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!admin.twoFactorSecret) {
+    return next(new ErrorResponse('Please start two-factor setup first', 400));
+  }
+
+  const step = totp.verify(req.body.code, admin.twoFactorSecret);
+  if (step === null) {
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+
+  admin.twoFactorEnabled = true;
+  admin.twoFactorLastStep = step;
+  const recoveryCodes = admin.generateRecoveryCodes();
+  await handleSuccessfulLogin(admin, req);
+
+  // Recovery codes are only ever shown once
+  await sendTokenResponse(admin, 200, req, res, {
+    authMethod: 'two-factor',
+    twoFactorVerified: true,
+    body: { recoveryCodes },
+  });
+});
+
+// @desc    Admin/staff login (second step: TOTP or recovery code)
+// @route   POST /api/v1/auth/admin/2fa/verify
+// @access  Public (requires 2FA temp token)
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { tempToken, code, recoveryCode } = req.body;
+  const admin = await getTwoFactorUser(tempToken);
+
+  if (!admin) {
+    return next(new ErrorResponse('Two-factor session is invalid or has expired', 401));
+  }
+
+  if (!admin.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is not set up', 400));
+  }
+
+  if (recoveryCode) {
+    if (!admin.useRecoveryCode(recoveryCode)) {
+      return next(new ErrorResponse('Invalid recovery code', 401));
+    }
+  } else {
+    const step = totp.verify(code, admin.twoFactorSecret);
+
+    if (step === null || (admin.twoFactorLastStep !== undefined && step <= admin.twoFactorLastStep)) {
+      return next(new ErrorResponse('Invalid authentication code', 401));
+    }
+
+    admin.twoFactorLastStep = step;
+  }
+
+  await handleSuccessfulLogin(admin, req);
+
+  await sendTokenResponse(admin, 200, req, res, {
+    authMethod: 'two-factor',
+    twoFactorVerified: true,
+    body: { recoveryCodesRemaining: admin.recoveryCodes.length },
+  });
+});
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/v1/auth/admin/2fa/recovery-codes
+// @access  Private/Staff
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const admin = await User.findById(req.user.id)
+    .select('+twoFactorSecret +twoFactorLastStep +recoveryCodes');
+
+  if (!admin.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is not set up', 400));
   }
 
-  sendTokenResponse(admin, 200, res);
+  const step = totp.verify(req.body.code, admin.twoFactorSecret);
+
+  if (step === null || (admin.twoFactorLastStep !== undefined && step <= admin.twoFactorLastStep)) {
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+
+  admin.twoFactorLastStep = step;
+  const recoveryCodes = admin.generateRecoveryCodes();
+  await admin.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes },
+  });
+});
+
+// Short-lived token proving the password step of an admin/staff login succeeded
+const getTwoFactorToken = (user) =>
+  jwt.sign({ id: user._id, purpose: 'admin-2fa' }, config.jwtSecret, {
+    expiresIn: config.twoFactorTokenExpire,
+  });
+
+// Resolve a 2FA temp token to its admin/staff user, or null
+const getTwoFactorUser = async (tempToken) => {
+  if (!tempToken) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(tempToken, config.jwtSecret);
+  } catch (err) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'admin-2fa') return null;
+
+  return User.findOne({ _id: decoded.id, role: { $ne: 'user' } })
+    .select(`+twoFactorSecret +twoFactorLastStep +recoveryCodes ${LOGIN_SECURITY_FIELDS}`);
+};
+
+const lockedError = (user) =>
+  new ErrorResponse(
+    `Account is temporarily locked after too many failed attempts. Try again after ${user.lockUntil.toLocaleString()} or use the unlock link sent to your email.`,
+    423
+  );
+
+// @desc    Unlock an account locked after failed logins
+// @route   GET /api/v1/auth/unlock/:token
+// @access  Public
+exports.unlockAccount = asyncHandler(async (req, res, next) => {
+  const unlockToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    unlockToken,
+    unlockTokenExpire: { $gt: Date.now() },
+  }).select(LOGIN_SECURITY_FIELDS);
+
+  if (!user) {
+    return next(new ErrorResponse('Unlock link is invalid or has expired', 400));
+  }
+
+  user.clearLoginLock();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Your account has been unlocked. You can sign in again.' },
+  });
 });
 
 // @desc    Get current logged in user
@@ -257,14 +691,21 @@ exports.getMe = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Log user out / clear cookie
-// @route   GET /api/v1/auth/logout
+// @desc    Log user out / revoke current session
+// @route   POST /api/v1/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+  req.authSession.revokedAt = Date.now();
+  await req.authSession.save();
+
+  if (req.impersonatedBy) {
+    await ImpersonationLog.updateOne(
+      { session: req.authSession._id, endedAt: { $exists: false } },
+      { endedAt: Date.now(), endedBy: req.impersonatedBy }
+    );
+  }
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -272,57 +713,411 @@ exports.logout = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Get token from model, create cookie and send response
-// Modify the sendTokenResponse function
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// @desc    Issue a fresh CSRF token for cookie-authenticated clients
+// @route   GET /api/v1/auth/csrf-token
+// @access  Private
+exports.getCsrfToken = asyncHandler(async (req, res, next) => {
+  const csrfToken = setCsrfCookie(res, req.authSession.expiresAt);
+
+  res.status(200).json({
+    success: true,
+    csrfToken,
   });
+});
 
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+// @desc    Log user out of every device
+// @route   POST /api/v1/auth/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.user.id);
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    data: { revokedSessions: result.modifiedCount },
+  });
+});
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+  if (!refreshToken) {
+    return next(new ErrorResponse('Please provide a refresh token', 400));
+  }
+
+  const tokenHash = Session.hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
 
-  if (process.env.NODE_ENV === 'production') {
-    options.secure = true;
+  if (!session) {
+    // A rotated-out token being presented again means it leaked; kill that session
+    const reused = await Session.findOne({ previousTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = Date.now();
+      await reused.save();
+    }
+
+    return next(new ErrorResponse('Invalid refresh token', 401));
+  }
+
+  if (!session.isActive()) {
+    return next(new ErrorResponse('Session has expired or was revoked', 401));
   }
 
-  res.status(statusCode).cookie('token', token, options).json({
+  await rotateSessionTokens(session, req, res);
+});
+
+// @desc    Verify email address
+// @route   GET /api/v1/auth/verifyemail/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(req.params.token, config.jwtSecret);
+  } catch (err) {
+    return next(new ErrorResponse('Verification link is invalid or has expired', 400));
+  }
+
+  if (decoded.purpose !== 'email-verification') {
+    return next(new ErrorResponse('Verification link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // The link only counts for the address it was sent to
+  if (!user || user.email !== decoded.email) {
+    return next(new ErrorResponse('Verification link is invalid or has expired', 400));
+  }
+
+  if (!user.isVerified) {
+    user.isVerified = true;
+    user.verifiedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Email verified successfully' },
+  });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/v1/auth/resendverification
+// @access  Private
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  if (req.user.isVerified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+
+  try {
+    await sendVerificationEmail(req.user, req);
+  } catch (err) {
+    return next(new ErrorResponse('Verification email could not be sent', 500));
+  }
+
+  res.status(200).json({
     success: true,
-    token
+    data: { message: `Verification email sent to ${req.user.email}` },
+  });
+});
+
+// Email a signed verification link to the user
+const sendVerificationEmail = async (user, req) => {
+  const token = user.getEmailVerificationToken();
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/verifyemail/${token}`;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'DressUp - Please verify your email address',
+    message: `
+      Dear ${user.name},
+
+      Please confirm your email address by opening the link below:
+
+      ${verifyUrl}
+
+      This link expires in ${config.emailVerificationExpire}. If you did not create a DressUp account, you can ignore this email.
+
+      Warm regards,
+      The DressUp Team
+    `,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2c3e50;">Verify your email</h1>
+        <p style="font-size: 16px;">Dear ${user.name},</p>
+        <p>Please confirm your email address to start checking out with DressUp.</p>
+
+        <div style="margin-top: 30px;">
+          <a href="${verifyUrl}"
+             style="background-color: #2c3e50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+            Verify Email
+          </a>
+        </div>
+
+        <p style="margin-top: 30px;">This link expires in ${config.emailVerificationExpire}. If you did not create a DressUp account, you can ignore this email.</p>
+
+        <p>Warm regards,<br>The DressUp Team</p>
+      </div>
+    `
   });
 };
 
+// @desc    Forgot password
+// @route   POST /api/v1/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const email = req.body.email?.trim().toLowerCase();
+
+  if (!email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  // Same response whether or not the account exists, so emails can't be enumerated
+  const response = {
+    success: true,
+    data: { message: 'If an account exists for that email, a reset link has been sent' },
+  };
+
+  const user = await User.findOne({ email });
+
+  if (!user) {
+    return res.status(200).json(response);
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'https://yourstore.com'}/reset-password/${resetToken}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'DressUp - Password reset request',
+      message: `
+        Dear ${user.name},
+
+        We received a request to reset the password for your DressUp account. Open the link below to choose a new password:
+
+        ${resetUrl}
+
+        This link expires in ${config.resetPasswordExpireMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.
+
+        Warm regards,
+        The DressUp Team
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #2c3e50;">Reset your password</h1>
+          <p style="font-size: 16px;">Dear ${user.name},</p>
+          <p>We received a request to reset the password for your DressUp account.</p>
+
+          <div style="margin-top: 30px;">
+            <a href="${resetUrl}"
+               style="background-color: #2c3e50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Reset Password
+            </a>
+          </div>
+
+          <p style="margin-top: 30px;">This link expires in ${config.resetPasswordExpireMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>
+
+          <p>Warm regards,<br>The DressUp Team</p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('Password reset email failed:', err);
+
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Still the generic response: an error here would reveal that the account exists
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Reset password
+// @route   PUT /api/v1/auth/resetpassword/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() },
+  }).select(LOGIN_SECURITY_FIELDS);
+
+  if (!user) {
+    return next(new ErrorResponse('Reset link is invalid or has expired', 400));
+  }
+
+  const passwordError = await validatePassword(req.body.password, user);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
+  // Set new password and burn the token
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.clearLoginLock();
+  await user.save();
+
+  // Anyone signed in with the old password loses access
+  await Session.revokeAllForUser(user._id);
+
+  // Staff still need their second factor, so no session is issued here
+  if (user.isStaff()) {
+    return res.status(200).json({
+      success: true,
+      data: { message: 'Password reset. Please sign in through the admin login.' },
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res, { authMethod: 'password-reset' });
+});
+
 // @desc    Authenticate with Google
 // @route   POST /api/v1/auth/google
 // @access  Public
 exports.googleAuth = asyncHandler(async (req, res, next) => {
-  const { token } = req.body;
+  const profile = await verifyGoogleToken(req.body.token);
 
-  const ticket = await client.verifyIdToken({
-    idToken: token,
-    audience: process.env.GOOGLE_CLIENT_ID,
-  });
+  if (!profile) {
+    return next(new ErrorResponse('Invalid Google token', 401));
+  }
 
-  const { name, email, picture } = ticket.getPayload();
+  const { sub: googleId, name, email, picture, email_verified } = profile;
 
-  // Check if user exists
-  let user = await User.findOne({ email });
+  // Already linked accounts sign straight in
+  let user = await User.findOne({ googleId }).select(LOGIN_SECURITY_FIELDS);
 
   if (!user) {
-    // Create new user if doesn't exist
+    const existing = await User.findOne({ email: email.toLowerCase() });
+
+    if (existing) {
+      if (existing.isStaff()) {
+        return next(new ErrorResponse('Staff accounts must sign in through /api/v1/auth/admin/login', 403));
+      }
+
+      // Never attach Google to a password account without the owner confirming
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists. Confirm your password to link Google sign-in.',
+        linkRequired: true,
+        linkToken: jwt.sign(
+          { id: existing._id, googleId, picture, emailVerified: Boolean(email_verified), purpose: 'google-link' },
+          config.jwtSecret,
+          { expiresIn: config.googleLinkTokenExpire }
+        ),
+      });
+    }
+
+    // New Google accounts follow the same email rules as regular sign-ups
+    const { error: policyError } = await validateRegistration({ email }, { checkName: false });
+    if (policyError) {
+      return next(new ErrorResponse(policyError, 400));
+    }
+
+    // Google-only account: no password until the user chooses to set one
     user = await User.create({
       name,
       email,
-      password: 'google-auth', // You might want to handle this differently
+      googleId,
+      isGoogleAuth: true,
       avatar: picture,
-      isVerified: true,
+      isVerified: Boolean(email_verified),
+      verifiedAt: email_verified ? Date.now() : undefined,
     });
   }
 
-  sendTokenResponse(user, 200, res);
-});
\ No newline at end of file
+  if (user.isStaff()) {
+    return next(new ErrorResponse('Staff accounts must sign in through /api/v1/auth/admin/login', 403));
+  }
+
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
+  // Google has already confirmed ownership of the address
+  if (!user.isVerified && email_verified) {
+    user.isVerified = true;
+    user.verifiedAt = Date.now();
+  }
+
+  await handleSuccessfulLogin(user, req);
+
+  await sendTokenResponse(user, 200, req, res, { authMethod: 'google' });
+});
+
+// @desc    Confirm linking Google sign-in to an existing password account
+// @route   POST /api/v1/auth/google/link
+// @access  Public (requires link token from /auth/google)
+exports.linkGoogleAccount = asyncHandler(async (req, res, next) => {
+  const { linkToken, password } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(linkToken, config.jwtSecret);
+  } catch (err) {
+    return next(new ErrorResponse('Link request is invalid or has expired', 400));
+  }
+
+  if (decoded.purpose !== 'google-link') {
+    return next(new ErrorResponse('Link request is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id).select(`+password +googleId ${LOGIN_SECURITY_FIELDS}`);
+
+  if (!user || user.isStaff()) {
+    return next(new ErrorResponse('Link request is invalid or has expired', 400));
+  }
+
+  if (user.isLocked()) {
+    return next(lockedError(user));
+  }
+
+  if (!(await user.matchPassword(password))) {
+    await handleFailedLogin(user, req);
+    return next(new ErrorResponse('Invalid credentials', 401));
+  }
+
+  if (await User.exists({ googleId: decoded.googleId })) {
+    return next(new ErrorResponse('This Google account is already linked to another user', 400));
+  }
+
+  user.googleId = decoded.googleId;
+  user.isGoogleAuth = true;
+  if (!user.avatar && decoded.picture) user.avatar = decoded.picture;
+  if (!user.isVerified && decoded.emailVerified) {
+    user.isVerified = true;
+    user.verifiedAt = Date.now();
+  }
+
+  await handleSuccessfulLogin(user, req);
+
+  await sendTokenResponse(user, 200, req, res, { authMethod: 'google' });
+});
+
+// Verify a Google ID token and return its payload, or null if it is not valid
+const verifyGoogleToken = async (idToken) => {
+  if (!idToken) return null;
+
+  try {
+    const ticket = await client.verifyIdToken({
+      idToken,
+      audience: process.env.GOOGLE_CLIENT_ID,
+    });
+    return ticket.getPayload();
+  } catch (err) {
+    return null;
+  }
+};
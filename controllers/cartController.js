@@ -1,20 +1,62 @@
+const crypto = require('crypto');
+const config = require('../config/config');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
+const { setCartTokenCookie, clearCartTokenCookie } = require('../utils/tokenResponse');
+
+const guestCartToken = (req) => {
+  const token = req.headers['x-cart-token'] || (req.cookies && req.cookies.cartToken);
+  return token && token !== 'none' ? token : null;
+};
+
+// Signed-in shoppers own their cart; guests are identified by their cart token
+const cartOwner = (req) => {
+  if (req.user) return { user: req.user.id };
+
+  const token = guestCartToken(req);
+  return token ? { guestTokenHash: Cart.hashToken(token) } : null;
+};
+
+const guestCartExpiry = () =>
+  new Date(Date.now() + config.guestCartExpireDays * 24 * 60 * 60 * 1000);
+
+const findCart = (req) => {
+  const owner = cartOwner(req);
+  return owner ? Cart.findOne(owner) : null;
+};
+
+// Save the cart, keeping an active guest cart alive
+const saveCart = (cart) => {
+  if (cart.guestTokenHash) cart.guestExpiresAt = guestCartExpiry();
+  return cart.save();
+};
+
+// Move a guest cart into the signed-in user's cart once they sign in
+exports.claimGuestCart = asyncHandler(async (req, res, next) => {
+  const token = guestCartToken(req);
+
+  if (req.user && token) {
+    await Cart.mergeGuestCart(req.user.id, token);
+    clearCartTokenCookie(res);
+  }
+
+  next();
+});
 
 // @desc    Get user cart
 // @route   GET /api/v1/cart
 // @route   GET /api/v1/users/:userId/cart
-// @access  Private
+// @access  Private or guest (cart token)
 exports.getCart = asyncHandler(async (req, res, next) => {
   // Check if userId is provided in params (admin access)
-  const userId = req.params.userId || req.user.id;
+  const owner = req.params.userId ? { user: req.params.userId } : cartOwner(req);
 
-  const cart = await Cart.findOne({ user: userId }).populate('items.product');
+  const cart = owner && await Cart.findOne(owner).populate('items.product');
 
   if (!cart) {
-    return next(new ErrorResponse(`Cart not found for user ${userId}`, 404));
+    return next(new ErrorResponse('Cart not found', 404));
   }
 
   res.status(200).json({
@@ -25,9 +67,9 @@ exports.getCart = asyncHandler(async (req, res, next) => {
 
 // @desc    Add item to cart
 // @route   POST /api/v1/cart
-// @access  Private
+// @access  Private or guest (cart token)
 exports.addToCart = asyncHandler(async (req, res, next) => {
-  const { productId, quantity, size, color } = req.body;
+  const { productId, quantity, size, color, sku } = req.body;
 
   // Get product details
   const product = await Product.findById(productId);
@@ -36,18 +78,23 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Product not found with id ${productId}`, 404));
   }
 
-  // Check if product is in stock
-  if (product.stock < quantity) {
-    return next(
-      new ErrorResponse(
-        `Not enough stock. Only ${product.stock} items available`,
-        400
-      )
-    );
-  }
-
-  // Check if size is available
-  if (!product.size.includes(size)) {
+  // Products with variants are bought by variant (by SKU, or by size and color)
+  let variant;
+  if (product.variants.length > 0) {
+    variant = sku
+      ? product.variants.find(v => v.sku === String(sku).toUpperCase())
+      : product.findVariant(size, color);
+
+    if (!variant) {
+      return next(
+        new ErrorResponse(
+          `Please choose an available option for this product. Available: ${product.variantOptions() || 'none'}`,
+          400
+        )
+      );
+    }
+  } else if (!product.size.includes(size)) {
+    // Check if size is available
     return next(
       new ErrorResponse(
         `Size ${size} not available for this product. Available sizes: ${product.size.join(
@@ -58,61 +105,80 @@ exports.addToCart = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Find user's cart or create new one
-  let cart = await Cart.findOne({ user: req.user.id });
+  // Find user's cart or create new one; a guest's first item starts an anonymous cart
+  let cart = await findCart(req);
+  let newCartToken;
 
   if (!cart) {
-    cart = await Cart.create({
-      user: req.user.id,
-      items: [],
-      totalPrice: 0,
-    });
+    if (req.user) {
+      cart = new Cart({ user: req.user.id, items: [], totalPrice: 0 });
+    } else {
+      newCartToken = crypto.randomBytes(32).toString('hex');
+      cart = new Cart({ guestTokenHash: Cart.hashToken(newCartToken), items: [], totalPrice: 0 });
+    }
   }
 
+  const line = {
+    product: productId,
+    size: variant ? variant.size : size,
+    color: variant ? variant.color : color,
+    variant: variant && variant._id,
+  };
+
   // Check if item already exists in cart
-  const itemIndex = cart.items.findIndex(
-    (item) =>
-      item.product.toString() === productId && item.size === size && item.color === color
-  );
+  const existing = cart.items.find((item) => item.isSameLine(line));
+  const available = product.stockFor(variant);
 
-  if (itemIndex > -1) {
+  // Check if product is in stock, counting what is already in the cart
+  if (available < quantity + (existing ? existing.quantity : 0)) {
+    return next(
+      new ErrorResponse(
+        `Not enough stock. Only ${available} items available`,
+        400
+      )
+    );
+  }
+
+  if (existing) {
     // Update quantity if item exists
-    cart.items[itemIndex].quantity += quantity;
+    existing.quantity += quantity;
   } else {
     // Add new item to cart
     cart.items.push({
-      product: productId,
+      ...line,
       quantity,
-      size,
-      color,
-      price: product.price,
+      sku: variant && variant.sku,
+      price: product.priceFor(variant),
     });
   }
 
   // Calculate total price
-  cart.totalPrice = cart.items.reduce(
-    (total, item) => total + item.price * item.quantity,
-    0
-  );
+  cart.calculateTotal();
 
-  await cart.save();
+  await saveCart(cart);
+
+  // The raw cart token is only returned when the guest cart is created
+  if (newCartToken) {
+    setCartTokenCookie(res, newCartToken);
+  }
 
   res.status(200).json({
     success: true,
+    ...(newCartToken && { cartToken: newCartToken }),
     data: cart,
   });
 });
 
 // @desc    Update cart item quantity
 // @route   PUT /api/v1/cart/:itemId
-// @access  Private
+// @access  Private or guest (cart token)
 exports.updateCartItem = asyncHandler(async (req, res, next) => {
   const { quantity } = req.body;
 
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
 
   if (!cart) {
-    return next(new ErrorResponse(`Cart not found for user ${req.user.id}`, 404));
+    return next(new ErrorResponse('Cart not found', 404));
   }
 
   // Find the item in cart
@@ -138,11 +204,21 @@ exports.updateCartItem = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const variant = cart.items[itemIndex].variant &&
+    product.variants.id(cart.items[itemIndex].variant);
+
+  if (cart.items[itemIndex].variant && !variant) {
+    return next(
+      new ErrorResponse('This option is no longer available. Please remove it from your cart', 400)
+    );
+  }
+
   // Check if new quantity exceeds stock
-  if (product.stock < quantity) {
+  const available = product.stockFor(variant);
+  if (available < quantity) {
     return next(
       new ErrorResponse(
-        `Not enough stock. Only ${product.stock} items available`,
+        `Not enough stock. Only ${available} items available`,
         400
       )
     );
@@ -152,12 +228,9 @@ exports.updateCartItem = asyncHandler(async (req, res, next) => {
   cart.items[itemIndex].quantity = quantity;
 
   // Calculate total price
-  cart.totalPrice = cart.items.reduce(
-    (total, item) => total + item.price * item.quantity,
-    0
-  );
+  cart.calculateTotal();
 
-  await cart.save();
+  await saveCart(cart);
 
   res.status(200).json({
     success: true,
@@ -167,12 +240,12 @@ exports.updateCartItem = asyncHandler(async (req, res, next) => {
 
 // @desc    Remove item from cart
 // @route   DELETE /api/v1/cart/:itemId
-// @access  Private
+// @access  Private or guest (cart token)
 exports.removeFromCart = asyncHandler(async (req, res, next) => {
-  const cart = await Cart.findOne({ user: req.user.id });
+  const cart = await findCart(req);
 
   if (!cart) {
-    return next(new ErrorResponse(`Cart not found for user ${req.user.id}`, 404));
+    return next(new ErrorResponse('Cart not found', 404));
   }
 
   // Find the item in cart
@@ -190,12 +263,9 @@ exports.removeFromCart = asyncHandler(async (req, res, next) => {
   cart.items.splice(itemIndex, 1);
 
   // Calculate total price
-  cart.totalPrice = cart.items.reduce(
-    (total, item) => total + item.price * item.quantity,
-    0
-  );
+  cart.calculateTotal();
 
-  await cart.save();
+  await saveCart(cart);
 
   res.status(200).json({
     success: true,
@@ -205,16 +275,17 @@ exports.removeFromCart = asyncHandler(async (req, res, next) => {
 
 // @desc    Clear cart
 // @route   DELETE /api/v1/cart
-// @access  Private
+// @access  Private or guest (cart token)
 exports.clearCart = asyncHandler(async (req, res, next) => {
-  const cart = await Cart.findOneAndUpdate(
-    { user: req.user.id },
+  const owner = cartOwner(req);
+  const cart = owner && await Cart.findOneAndUpdate(
+    owner,
     { items: [], totalPrice: 0 },
     { new: true }
   );
 
   if (!cart) {
-    return next(new ErrorResponse(`Cart not found for user ${req.user.id}`, 404));
+    return next(new ErrorResponse('Cart not found', 404));
   }
 
   res.status(200).json({
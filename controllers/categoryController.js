@@ -0,0 +1,132 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+
+// Fields admins can set on a category
+const CATEGORY_FIELDS = ['name', 'slug', 'parent', 'description', 'sortOrder', 'isActive', 'sizeChart'];
+
+const pickCategoryFields = (body) =>
+  CATEGORY_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// @desc    Get all categories
+// @route   GET /api/v1/admin/categories
+// @access  Private/Staff (products:read)
+exports.getCategories = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.parent !== undefined) {
+    filter.parent = req.query.parent === 'root' ? null : req.query.parent;
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+
+  const categories = await Category.find(filter)
+    .populate('parent', 'name slug')
+    .sort('sortOrder name');
+
+  res.status(200).json({
+    success: true,
+    count: categories.length,
+    data: categories,
+  });
+});
+
+// @desc    Get single category with its subcategories
+// @route   GET /api/v1/admin/categories/:id
+// @access  Private/Staff (products:read)
+exports.getCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id).populate('parent', 'name slug');
+
+  if (!category) {
+    return next(new ErrorResponse(`Category not found with id of ${req.params.id}`, 404));
+  }
+
+  const [children, productCount] = await Promise.all([
+    Category.find({ parent: category._id }).sort('sortOrder name'),
+    Product.countDocuments({ category: category.slug }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...category.toObject(),
+      children,
+      productCount,
+    },
+  });
+});
+
+// @desc    Create category
+// @route   POST /api/v1/admin/categories
+// @access  Private/Staff (products:write)
+exports.createCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.create(pickCategoryFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    data: category,
+  });
+});
+
+// @desc    Update category
+// @route   PUT /api/v1/admin/categories/:id
+// @access  Private/Staff (products:write)
+exports.updateCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return next(new ErrorResponse(`Category not found with id of ${req.params.id}`, 404));
+  }
+
+  const previousSlug = category.slug;
+  category.set(pickCategoryFields(req.body));
+  await category.save();
+
+  // Products reference the category by slug, so move them along with it
+  if (category.slug !== previousSlug) {
+    await Product.updateMany({ category: previousSlug }, { category: category.slug });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: category,
+  });
+});
+
+// @desc    Delete category
+// @route   DELETE /api/v1/admin/categories/:id
+// @access  Private/Staff (products:write)
+exports.deleteCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return next(new ErrorResponse(`Category not found with id of ${req.params.id}`, 404));
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    return next(
+      new ErrorResponse(`Category '${category.name}' still has subcategories`, 400)
+    );
+  }
+
+  const products = await Product.countDocuments({ category: category.slug });
+  if (products > 0) {
+    return next(
+      new ErrorResponse(
+        `Category '${category.name}' still has ${products} product(s); move them or deactivate the category instead`,
+        400
+      )
+    );
+  }
+
+  await category.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -0,0 +1,101 @@
+const asyncHandler = require('../middlewares/async');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+
+const CHILD_FIELDS = ['name', 'birthDate', 'height', 'weight', 'chest', 'waist', 'preferredFit'];
+
+// @desc    Get child profiles
+// @route   GET /api/v1/users/me/children
+// @access  Private
+exports.getChildren = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('children');
+
+  res.status(200).json({
+    success: true,
+    count: user.children.length,
+    data: user.children,
+  });
+});
+
+// @desc    Get a child profile
+// @route   GET /api/v1/users/me/children/:childId
+// @access  Private
+exports.getChild = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('children');
+  const child = user.children.id(req.params.childId);
+
+  if (!child) {
+    return next(new ErrorResponse(`Child profile not found with id of ${req.params.childId}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: child,
+  });
+});
+
+// @desc    Add a child profile
+// @route   POST /api/v1/users/me/children
+// @access  Private
+exports.addChild = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  const child = {};
+  CHILD_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) child[field] = req.body[field];
+  });
+
+  user.children.push(child);
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    data: user.children[user.children.length - 1],
+  });
+});
+
+// @desc    Update a child profile
+// @route   PUT /api/v1/users/me/children/:childId
+// @access  Private
+exports.updateChild = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const child = user.children.id(req.params.childId);
+
+  if (!child) {
+    return next(new ErrorResponse(`Child profile not found with id of ${req.params.childId}`, 404));
+  }
+
+  // null clears a measurement that is no longer accurate
+  CHILD_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      child[field] = req.body[field] === null ? undefined : req.body[field];
+    }
+  });
+
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: child,
+  });
+});
+
+// @desc    Delete a child profile
+// @route   DELETE /api/v1/users/me/children/:childId
+// @access  Private
+exports.deleteChild = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const child = user.children.id(req.params.childId);
+
+  if (!child) {
+    return next(new ErrorResponse(`Child profile not found with id of ${req.params.childId}`, 404));
+  }
+
+  user.children.pull(req.params.childId);
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const generateToken = require('../utils/generateToken');
+
+// @desc    Sign in as a customer to see what they see
+// @route   POST /api/v1/admin/users/:id/impersonate
+// @access  Private/Staff (users:impersonate)
+exports.impersonateUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason || !reason.trim()) {
+    return next(new ErrorResponse('Please give a reason for impersonating this user', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  // Only customer accounts can be impersonated, so staff access can't be borrowed
+  if (user.isStaff()) {
+    return next(new ErrorResponse('Staff accounts cannot be impersonated', 403));
+  }
+
+  const expiresAt = new Date(Date.now() + config.impersonationMinutes * 60 * 1000);
+
+  // The session has no usable refresh token; it simply ends when the access token expires
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(crypto.randomBytes(40).toString('hex')),
+    impersonatedBy: req.user._id,
+    authMethod: 'impersonation',
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt,
+  });
+
+  const log = await ImpersonationLog.create({
+    admin: req.user._id,
+    user: user._id,
+    session: session._id,
+    reason,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    expiresAt,
+  });
+
+  const token = generateToken(user._id, session._id, {
+    impersonatedBy: req.user._id,
+    expiresIn: `${config.impersonationMinutes}m`,
+  });
+
+  // Returned in the body only, so the staff member's own cookies stay untouched
+  res.status(201).json({
+    success: true,
+    impersonating: true,
+    token,
+    expiresAt,
+    data: {
+      impersonationId: log._id,
+      user: { _id: user._id, name: user.name, email: user.email },
+    },
+  });
+});
+
+// @desc    Get impersonation audit log
+// @route   GET /api/v1/admin/impersonations
+// @access  Private/Staff (users:impersonate)
+exports.getImpersonations = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.admin) filter.admin = req.query.admin;
+  if (req.query.user) filter.user = req.query.user;
+
+  const logs = await ImpersonationLog.find(filter)
+    .populate('admin', 'name email')
+    .populate('user', 'name email')
+    .sort('-createdAt')
+    .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    data: logs,
+  });
+});
+
+// @desc    End an impersonation session early
+// @route   DELETE /api/v1/admin/impersonations/:id
+// @access  Private/Staff (users:impersonate)
+exports.endImpersonation = asyncHandler(async (req, res, next) => {
+  const log = await ImpersonationLog.findById(req.params.id);
+
+  if (!log) {
+    return next(new ErrorResponse(`Impersonation not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!log.endedAt) {
+    await Session.updateOne({ _id: log.session }, { revokedAt: Date.now() });
+
+    log.endedAt = Date.now();
+    log.endedBy = req.user._id;
+    await log.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: log,
+  });
+});
@@ -1,9 +1,13 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
+const { clearCartTokenCookie } = require('../utils/tokenResponse');
 const sendEmail = require('../utils/emailService');
 const PDFDocument = require('pdfkit');
 const path = require('path');
@@ -105,51 +109,21 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('No items in cart', 400));
   }
 
-  // Validate all products exist and have stock
-  for (const item of cart.items) {
-    if (!item.product) {
-      return next(new ErrorResponse(`Product ${item.product?._id} not found`, 404));
-    }
-    if (item.product.stock < item.quantity) {
-      return next(new ErrorResponse(
-        `Not enough stock for ${item.product.name}. Only ${item.product.stock} available`,
-        400
-      ));
-    }
+  const pricing = priceCartItems(cart);
+  if (pricing.error) {
+    return next(pricing.error);
   }
 
-  // Calculate prices server-side (prevent frontend manipulation)
-  const itemsPrice = cart.items.reduce(
-    (sum, item) => sum + (item.price * item.quantity), 
-    0
-  );
-  const taxPrice = itemsPrice * 0.1; // Example: 10% tax
-  const shippingPrice = 5.99; // Fixed shipping or calculate based on rules
-  const totalPrice = itemsPrice + taxPrice + shippingPrice;
-
-  // Create order items from cart
-  const orderItems = cart.items.map(item => ({
-    product: item.product._id,
-    quantity: item.quantity,
-    size: item.size,
-    color: item.color,
-    price: item.price
-  }));
-
   // Create order
   const order = await Order.create({
     user: req.user.id,
-    orderItems,
+    ...pricing,
     shippingInfo,
     paymentInfo: {
       id: paymentInfo.id,
       status: paymentInfo.status,
       method: paymentInfo.method || 'card'
     },
-    itemsPrice,
-    taxPrice,
-    shippingPrice,
-    totalPrice,
     trackingInfo: {
       ...trackingInfo,
       status: trackingInfo.status || 'label_created',
@@ -159,7 +133,7 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
 
   // Update stock based on purchased items
   for (const item of order.orderItems) {
-    await updateStock(item.product, item.quantity);
+    await updateStock(item);
   }
 
   // Clear user's cart post-purchase
@@ -169,146 +143,99 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     { new: true }
   );
 
-  // Send order confirmation email
-
-try {
-  // Get populated order details for email
-  const populatedOrder = await Order.findById(order._id)
-    .populate('user', 'name email')
-    .populate('orderItems.product', 'name images');
-
-  // Format order items for email
-  const orderItemsList = populatedOrder.orderItems.map(item => `
-    <tr>
-      <td style="padding: 10px; border-bottom: 1px solid #eee;">
-        <img src="${item.product.images[0]?.url || 'https://via.placeholder.com/50'}" 
-             alt="${item.product.name}" 
-             style="width: 50px; height: 50px; object-fit: cover; margin-right: 10px;">
-        ${item.product.name}
-      </td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">
-        ${item.quantity}
-      </td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">
-        $${(item.price * item.quantity).toFixed(2)}
-      </td>
-    </tr>
-  `).join('');
-
-  await sendEmail({
-    email: populatedOrder.user.email,
-    subject: `Your DressUp Order Confirmation #${order._id}`,
-    message: `
-      Dear ${populatedOrder.user.name},
-
-      Thank you for your order with DressUp! We're excited to help elevate your style.
-
-      Order Summary:
-      - Order Number: ${order._id}
-      - Date: ${new Date(order.createdAt).toLocaleDateString()}
-      - Total Amount: $${order.totalPrice.toFixed(2)}
-
-      Shipping Address:
-      ${order.shippingInfo.address}
-      ${order.shippingInfo.city}, ${order.shippingInfo.state} ${order.shippingInfo.pinCode}
-      ${order.shippingInfo.country}
-      Phone: ${order.shippingInfo.phoneNo}
-
-      You can track your order status by visiting your account dashboard.
-
-      If you have any questions, please contact our support team.
-
-      Warm regards,
-      The DressUp Team
-    `,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
-        <div style="background-color: #2c3e50; padding: 20px; color: white;">
-          <h1 style="margin: 0;">Thank You For Your Order!</h1>
-        </div>
+  // Send order confirmation email (failures don't fail the order)
+  await sendOrderConfirmation(order, { name: req.user.name, email: req.user.email });
 
-        <div style="padding: 20px;">
-          <p>Dear ${populatedOrder.user.name},</p>
-          <p>Thank you for shopping with DressUp! We're excited to help elevate your style with your new purchase.</p>
-
-          <h2 style="color: #2c3e50; margin-top: 30px;">Order Details</h2>
-          <p><strong>Order Number:</strong> ${order._id}</p>
-          <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-
-          <h3 style="color: #2c3e50; margin-top: 20px;">Items Ordered</h3>
-          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-            <thead>
-              <tr style="background-color: #f5f5f5;">
-                <th style="padding: 10px; text-align: left;">Product</th>
-                <th style="padding: 10px; text-align: center;">Qty</th>
-                <th style="padding: 10px; text-align: right;">Price</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${orderItemsList}
-            </tbody>
-            <tfoot>
-              <tr>
-                <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Subtotal:</td>
-                <td style="padding: 10px; text-align: right;">$${order.itemsPrice.toFixed(2)}</td>
-              </tr>
-              <tr>
-                <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Shipping:</td>
-                <td style="padding: 10px; text-align: right;">$${order.shippingPrice.toFixed(2)}</td>
-              </tr>
-              <tr>
-                <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Tax:</td>
-                <td style="padding: 10px; text-align: right;">$${order.taxPrice.toFixed(2)}</td>
-              </tr>
-              <tr>
-                <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Total:</td>
-                <td style="padding: 10px; text-align: right; font-weight: bold;">$${order.totalPrice.toFixed(2)}</td>
-              </tr>
-            </tfoot>
-          </table>
-
-          <h3 style="color: #2c3e50; margin-top: 20px;">Shipping Information</h3>
-          <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px;">
-            <p>${order.shippingInfo.address}</p>
-            <p>${order.shippingInfo.city}, ${order.shippingInfo.state} ${order.shippingInfo.pinCode}</p>
-            <p>${order.shippingInfo.country}</p>
-            <p>Phone: ${order.shippingInfo.phoneNo}</p>
-          </div>
+  res.status(201).json({
+    success: true,
+    data: order,
+  });
+});
 
-          ${order.trackingInfo?.trackingNumber ? `
-            <h3 style="color: #2c3e50; margin-top: 20px;">Tracking Information</h3>
-            <p>Your order is being processed and will be shipped soon.</p>
-            <p><strong>Tracking Number:</strong> ${order.trackingInfo.trackingNumber}</p>
-            <p><a href="${order.trackingInfo.trackingUrl || '#'}" 
-                 style="color: #2c3e50; text-decoration: underline;">
-                 Track Your Order
-               </a></p>
-          ` : ''}
-
-          <div style="margin-top: 30px; text-align: center;">
-            <a href="${process.env.FRONTEND_URL || 'https://yourstore.com'}/account/orders" 
-               style="background-color: #2c3e50; color: white; padding: 10px 20px; 
-                      text-decoration: none; border-radius: 5px; display: inline-block;">
-              View Your Order
-            </a>
-          </div>
 
-          <p style="margin-top: 30px;">If you have any questions about your order, please reply to this email.</p>
+// @desc    Place an order without an account
+// @route   POST /api/v1/orders/guest
+// @access  Public (guest cart token)
+exports.createGuestOrder = asyncHandler(async (req, res, next) => {
+  const { name, shippingAddress = {}, paymentInfo, trackingInfo = {} } = req.body;
+  const email = req.body.email?.trim().toLowerCase();
 
-          <p>Warm regards,<br>The DressUp Team</p>
-        </div>
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return next(new ErrorResponse('Please provide a valid email address', 400));
+  }
 
-        <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 12px; color: #777;">
-          <p>DressUp - Elevate Your Style</p>
-          <p>${process.env.FRONTEND_URL || 'https://yourstore.com'}</p>
-        </div>
-      </div>
-    `
+  if (!name || !name.trim()) {
+    return next(new ErrorResponse('Please provide your name', 400));
+  }
+
+  const { street, city, state, zip, country, phone } = shippingAddress;
+  if (!street || !city || !state || !zip || !country || !phone) {
+    return next(new ErrorResponse('Please provide complete shipping information', 400));
+  }
+
+  // Validate payment info
+  if (!paymentInfo?.id || !paymentInfo?.status) {
+    return next(new ErrorResponse('Please provide complete payment information', 400));
+  }
+
+  const cartToken = req.headers['x-cart-token'] || req.cookies?.cartToken;
+  const cart = cartToken && cartToken !== 'none' &&
+    await Cart.findOne({ guestTokenHash: Cart.hashToken(cartToken) }).populate('items.product');
+
+  if (!cart || cart.items.length === 0) {
+    return next(new ErrorResponse('No items in cart', 400));
+  }
+
+  const pricing = priceCartItems(cart);
+  if (pricing.error) {
+    return next(pricing.error);
+  }
+
+  const order = await Order.create({
+    guestEmail: email,
+    guestName: name.trim(),
+    ...pricing,
+    shippingInfo: {
+      address: street,
+      city,
+      state,
+      country,
+      pinCode: zip,
+      phoneNo: phone
+    },
+    paymentInfo: {
+      id: paymentInfo.id,
+      status: paymentInfo.status,
+      method: paymentInfo.method || 'card'
+    },
+    trackingInfo: {
+      ...trackingInfo,
+      status: trackingInfo.status || 'label_created',
+      lastUpdated: Date.now()
+    }
+  });
+
+  // Update stock based on purchased items
+  for (const item of order.orderItems) {
+    await updateStock(item);
+  }
+
+  // The guest cart is done with
+  await cart.deleteOne();
+  clearCartTokenCookie(res);
+
+  // The signed link proves the guest owns the address, so it can create an account
+  const conversionToken = jwt.sign(
+    { email, purpose: 'guest-conversion' },
+    config.jwtSecret,
+    { expiresIn: config.guestConversionExpire }
+  );
+
+  await sendOrderConfirmation(order, {
+    name: order.guestName,
+    email,
+    accountUrl: `${process.env.FRONTEND_URL || 'https://yourstore.com'}/create-account/${conversionToken}`,
   });
-} catch (error) {
-  console.error('Order confirmation email failed:', error);
-  // Don't fail the order if email fails
-}
 
   res.status(201).json({
     success: true,
@@ -316,6 +243,31 @@ try {
   });
 });
 
+// @desc    Look up a guest order by order number and email
+// @route   POST /api/v1/orders/guest/lookup
+// @access  Public
+exports.lookupGuestOrder = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.body;
+  const email = req.body.email?.trim().toLowerCase();
+
+  if (!orderId || !email) {
+    return next(new ErrorResponse('Please provide your order number and email', 400));
+  }
+
+  const order = mongoose.isValidObjectId(orderId) &&
+    await Order.findOne({ _id: orderId, guestEmail: email })
+      .populate('orderItems.product', 'name images');
+
+  // Same answer for a wrong number or a wrong email
+  if (!order) {
+    return next(new ErrorResponse('No order found with that order number and email', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: order,
+  });
+});
 
 // @desc    Get single order
 // @route   GET /api/v1/orders/:id
@@ -333,7 +285,7 @@ exports.getOrder = asyncHandler(async (req, res, next) => {
   }
 
   // Make sure user is order owner or admin
-  if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (order.user?._id.toString() !== req.user.id && req.user.role !== 'admin') {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to access this order`,
@@ -397,7 +349,7 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is order owner or admin
-  if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (order.user?.toString() !== req.user.id && req.user.role !== 'admin') {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to cancel this order`,
@@ -422,7 +374,7 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
 
   // Restore product stock
   for (const item of order.orderItems) {
-    await restoreStock(item.product, item.quantity);
+    await restoreStock(item);
   }
 
   // Update order status
@@ -465,7 +417,7 @@ exports.generateOrderPdf = asyncHandler(async (req, res, next) => {
     }
 
     // Check if user is order owner or admin
-    if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (order.user?._id.toString() !== req.user.id && req.user.role !== 'admin') {
       return next(new ErrorResponse(`Not authorized to access this order`, 401));
     }
 
@@ -516,8 +468,8 @@ exports.generateOrderPdf = asyncHandler(async (req, res, next) => {
       .text('Customer Information:', 350, 160)
       .fontSize(10)
       .fillColor('#444444')
-      .text(order.user.name, 350, 180)
-      .text(order.user.email, 350, 200);
+      .text(order.user ? order.user.name : 'Deleted customer', 350, 180)
+      .text(order.user ? order.user.email : '', 350, 200);
 
     // Shipping info
     doc.fontSize(12)
@@ -708,7 +660,7 @@ exports.handleShippingWebhook = asyncHandler(async (req, res, next) => {
 
   // Send notification to user if status changed significantly
   if (['out_for_delivery', 'delivered', 'exception'].includes(status)) {
-    await sendShippingUpdateNotification(order.user, status);
+    await sendShippingUpdateNotification(order, status);
   }
 
   res.status(200).json({ success: true });
@@ -727,9 +679,10 @@ function mapTrackingStatusToOrderStatus(trackingStatus) {
 }
 
 // Helper function to send notifications
-async function sendShippingUpdateNotification(userId, status) {
-  const user = await User.findById(userId);
-  if (!user) return;
+async function sendShippingUpdateNotification(order, status) {
+  const user = order.user && await User.findById(order.user);
+  const email = user ? user.email : order.guestEmail;
+  if (!email) return;
 
   const statusMessages = {
     out_for_delivery: 'Your order is out for delivery!',
@@ -741,7 +694,7 @@ async function sendShippingUpdateNotification(userId, status) {
 
   try {
     await sendEmail({
-      email: user.email,
+      email,
       subject: 'Order Status Update',
       message
     });
@@ -753,20 +706,222 @@ async function sendShippingUpdateNotification(userId, status) {
 }
 
 
-// Helper function to restore product stock
-async function restoreStock(id, quantity) {
-  const product = await Product.findById(id);
-  product.stock += quantity;
-  await product.save({ validateBeforeSave: false });
+// Check stock for every cart line and build the priced order items.
+// Returns `{ error }` when the cart can't be ordered.
+function priceCartItems(cart) {
+  // Validate all products exist and have stock
+  for (const item of cart.items) {
+    if (!item.product) {
+      return { error: new ErrorResponse(`Product ${item.product?._id} not found`, 404) };
+    }
+    // Lines for a variant draw from that variant's stock
+    const variant = item.variant && item.product.variants.id(item.variant);
+    if (item.variant && !variant) {
+      return { error: new ErrorResponse(
+        `The selected option of ${item.product.name} is no longer available`,
+        400
+      ) };
+    }
+
+    const available = item.product.stockFor(variant);
+    if (available < item.quantity) {
+      return { error: new ErrorResponse(
+        `Not enough stock for ${item.product.name}${variant ? ` (${item.size}${item.color ? ` / ${item.color}` : ''})` : ''}. Only ${available} available`,
+        400
+      ) };
+    }
+  }
+
+  // Calculate prices server-side (prevent frontend manipulation)
+  const itemsPrice = cart.items.reduce(
+    (sum, item) => sum + (item.price * item.quantity), 
+    0
+  );
+  const taxPrice = itemsPrice * 0.1; // Example: 10% tax
+  const shippingPrice = 5.99; // Fixed shipping or calculate based on rules
+  const totalPrice = itemsPrice + taxPrice + shippingPrice;
+
+  // Create order items from cart
+  const orderItems = cart.items.map(item => ({
+    product: item.product._id,
+    quantity: item.quantity,
+    size: item.size,
+    color: item.color,
+    variant: item.variant,
+    sku: item.sku,
+    price: item.price
+  }));
+
+  return { orderItems, itemsPrice, taxPrice, shippingPrice, totalPrice };
 }
 
+// Email the order confirmation. Guests get a link to the order lookup page and
+// `customer.accountUrl` to turn their checkout into an account.
+async function sendOrderConfirmation(order, customer) {
+  const ordersUrl = `${process.env.FRONTEND_URL || 'https://yourstore.com'}${customer.accountUrl ? '/orders/lookup' : '/account/orders'}`;
+
+  try {
+    // Get populated order details for email
+    const populatedOrder = await Order.findById(order._id)
+      .populate('orderItems.product', 'name images');
+
+    // Format order items for email
+    const orderItemsList = populatedOrder.orderItems.map(item => `
+      <tr>
+        <td style="padding: 10px; border-bottom: 1px solid #eee;">
+          <img src="${item.product.images[0]?.url || 'https://via.placeholder.com/50'}" 
+               alt="${item.product.name}" 
+               style="width: 50px; height: 50px; object-fit: cover; margin-right: 10px;">
+          ${item.product.name}
+        </td>
+        <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">
+          ${item.quantity}
+        </td>
+        <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">
+          $${(item.price * item.quantity).toFixed(2)}
+        </td>
+      </tr>
+    `).join('');
 
+    await sendEmail({
+      email: customer.email,
+      subject: `Your DressUp Order Confirmation #${order._id}`,
+      message: `
+        Dear ${customer.name},
+
+        Thank you for your order with DressUp! We're excited to help elevate your style.
+
+        Order Summary:
+        - Order Number: ${order._id}
+        - Date: ${new Date(order.createdAt).toLocaleDateString()}
+        - Total Amount: $${order.totalPrice.toFixed(2)}
+
+        Shipping Address:
+        ${order.shippingInfo.address}
+        ${order.shippingInfo.city}, ${order.shippingInfo.state} ${order.shippingInfo.pinCode}
+        ${order.shippingInfo.country}
+        Phone: ${order.shippingInfo.phoneNo}
+
+        ${customer.accountUrl
+          ? `You can look up your order at ${ordersUrl} with your order number and email.
+
+        Create an account to keep track of this and future orders: ${customer.accountUrl}`
+          : 'You can track your order status by visiting your account dashboard.'}
+
+        If you have any questions, please contact our support team.
+
+        Warm regards,
+        The DressUp Team
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+          <div style="background-color: #2c3e50; padding: 20px; color: white;">
+            <h1 style="margin: 0;">Thank You For Your Order!</h1>
+          </div>
 
-async function updateStock(id, quantity) {
-  const product = await Product.findById(id);
+          <div style="padding: 20px;">
+            <p>Dear ${customer.name},</p>
+            <p>Thank you for shopping with DressUp! We're excited to help elevate your style with your new purchase.</p>
+
+            <h2 style="color: #2c3e50; margin-top: 30px;">Order Details</h2>
+            <p><strong>Order Number:</strong> ${order._id}</p>
+            <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
+
+            <h3 style="color: #2c3e50; margin-top: 20px;">Items Ordered</h3>
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <thead>
+                <tr style="background-color: #f5f5f5;">
+                  <th style="padding: 10px; text-align: left;">Product</th>
+                  <th style="padding: 10px; text-align: center;">Qty</th>
+                  <th style="padding: 10px; text-align: right;">Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${orderItemsList}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Subtotal:</td>
+                  <td style="padding: 10px; text-align: right;">$${order.itemsPrice.toFixed(2)}</td>
+                </tr>
+                <tr>
+                  <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Shipping:</td>
+                  <td style="padding: 10px; text-align: right;">$${order.shippingPrice.toFixed(2)}</td>
+                </tr>
+                <tr>
+                  <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Tax:</td>
+                  <td style="padding: 10px; text-align: right;">$${order.taxPrice.toFixed(2)}</td>
+                </tr>
+                <tr>
+                  <td colspan="2" style="padding: 10px; text-align: right; font-weight: bold;">Total:</td>
+                  <td style="padding: 10px; text-align: right; font-weight: bold;">$${order.totalPrice.toFixed(2)}</td>
+                </tr>
+              </tfoot>
+            </table>
+
+            <h3 style="color: #2c3e50; margin-top: 20px;">Shipping Information</h3>
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px;">
+              <p>${order.shippingInfo.address}</p>
+              <p>${order.shippingInfo.city}, ${order.shippingInfo.state} ${order.shippingInfo.pinCode}</p>
+              <p>${order.shippingInfo.country}</p>
+              <p>Phone: ${order.shippingInfo.phoneNo}</p>
+            </div>
+
+            ${order.trackingInfo?.trackingNumber ? `
+              <h3 style="color: #2c3e50; margin-top: 20px;">Tracking Information</h3>
+              <p>Your order is being processed and will be shipped soon.</p>
+              <p><strong>Tracking Number:</strong> ${order.trackingInfo.trackingNumber}</p>
+              <p><a href="${order.trackingInfo.trackingUrl || '#'}" 
+                   style="color: #2c3e50; text-decoration: underline;">
+                   Track Your Order
+                 </a></p>
+            ` : ''}
+
+            <div style="margin-top: 30px; text-align: center;">
+              <a href="${ordersUrl}" 
+                 style="background-color: #2c3e50; color: white; padding: 10px 20px; 
+                        text-decoration: none; border-radius: 5px; display: inline-block;">
+                View Your Order
+              </a>
+            </div>
+
+            ${customer.accountUrl ? `
+              <p style="margin-top: 30px;">Create an account to keep track of this and future orders:
+                <a href="${customer.accountUrl}" style="color: #2c3e50; text-decoration: underline;">Create your DressUp account</a>
+              </p>
+            ` : ''}
+
+            <p style="margin-top: 30px;">If you have any questions about your order, please reply to this email.</p>
+
+            <p>Warm regards,<br>The DressUp Team</p>
+          </div>
 
-  product.stock -= quantity;
+          <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 12px; color: #777;">
+            <p>DressUp - Elevate Your Style</p>
+            <p>${process.env.FRONTEND_URL || 'https://yourstore.com'}</p>
+          </div>
+        </div>
+      `
+    });
+  } catch (error) {
+    console.error('Order confirmation email failed:', error);
+    // Don't fail the order if email fails
+  }
+}
 
-  await product.save({ validateBeforeSave: false });
+// Helper function to restore product (and variant) stock
+async function restoreStock(item) {
+  const restored = await Product.adjustStock(item.product, item.variant, item.quantity);
+  if (!restored) {
+    console.error(`Could not restore stock for product ${item.product}${item.variant ? ` variant ${item.variant} (${item.sku})` : ''}; it no longer exists`);
+  }
+  return restored;
 }
 
+// Take purchased items out of product (and variant) stock
+async function updateStock(item) {
+  const updated = await Product.adjustStock(item.product, item.variant, -item.quantity);
+  if (!updated) {
+    console.error(`Not enough stock left for product ${item.product} to fulfil order item ${item._id}`);
+  }
+}
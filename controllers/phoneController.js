@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const sendSms = require('../utils/smsService');
+
+const OTP_FIELDS = '+phoneOtp +phoneOtpPhone +phoneOtpExpire +phoneOtpAttempts +phoneOtpSentAt';
+
+// Drop spaces, dashes, dots and brackets so the same number always compares equal
+const normalizePhone = (phone) => String(phone).replace(/[\s().-]/g, '');
+
+// @desc    Send a verification code to a phone number
+// @route   POST /api/v1/users/me/phone/send-otp
+// @access  Private
+exports.sendPhoneOtp = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(OTP_FIELDS);
+  const rawPhone = req.body.phone || user.phone;
+
+  if (!rawPhone) {
+    return next(new ErrorResponse('Please provide a phone number', 400));
+  }
+
+  const phone = normalizePhone(rawPhone);
+
+  if (!/^\+?[0-9]{7,15}$/.test(phone)) {
+    return next(new ErrorResponse(`${rawPhone} is not a valid phone number`, 400));
+  }
+
+  if (user.phoneVerified && normalizePhone(user.phone || '') === phone) {
+    return next(new ErrorResponse('This phone number is already verified', 400));
+  }
+
+  // Throttle sends: a short gap between codes and a cap per hour
+  const hourAgo = Date.now() - 60 * 60 * 1000;
+  const recentSends = (user.phoneOtpSentAt || []).filter(sentAt => sentAt > hourAgo);
+  const lastSent = recentSends[recentSends.length - 1];
+
+  if (lastSent && Date.now() - lastSent < config.phoneOtpResendSeconds * 1000) {
+    const wait = Math.ceil((config.phoneOtpResendSeconds * 1000 - (Date.now() - lastSent)) / 1000);
+    return next(new ErrorResponse(`Please wait ${wait} seconds before requesting another code`, 429));
+  }
+
+  if (recentSends.length >= config.phoneOtpMaxPerHour) {
+    return next(new ErrorResponse('Too many codes requested. Please try again later', 429));
+  }
+
+  const code = user.getPhoneOtp(phone);
+  user.phoneOtpSentAt = [...recentSends, new Date()];
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendSms({
+      to: phone,
+      message: `Your DressUp verification code is ${code}. It expires in ${config.phoneOtpExpireMinutes} minutes.`,
+    });
+  } catch (err) {
+    user.phoneOtp = undefined;
+    user.phoneOtpExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse('Verification code could not be sent', 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      message: `A verification code has been sent to ${phone}`,
+      expiresAt: user.phoneOtpExpire,
+    },
+  });
+});
+
+// @desc    Verify a phone number with the code sent to it
+// @route   POST /api/v1/users/me/phone/verify
+// @access  Private
+exports.verifyPhoneOtp = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ErrorResponse('Please provide the verification code', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(OTP_FIELDS);
+
+  if (!user.phoneOtp || !user.phoneOtpExpire || user.phoneOtpExpire < Date.now()) {
+    return next(new ErrorResponse('Verification code is invalid or has expired', 400));
+  }
+
+  const codeHash = crypto.createHash('sha256').update(String(code)).digest('hex');
+
+  if (!crypto.timingSafeEqual(Buffer.from(codeHash), Buffer.from(user.phoneOtp))) {
+    user.phoneOtpAttempts += 1;
+
+    // Too many wrong guesses burns the code
+    if (user.phoneOtpAttempts >= config.phoneOtpMaxAttempts) {
+      user.phoneOtp = undefined;
+      user.phoneOtpExpire = undefined;
+    }
+
+    await user.save({ validateBeforeSave: false });
+    return next(new ErrorResponse('Verification code is invalid or has expired', 400));
+  }
+
+  user.phone = user.phoneOtpPhone;
+  user.phoneVerified = true;
+  user.phoneVerifiedAt = Date.now();
+  user.phoneOtp = undefined;
+  user.phoneOtpPhone = undefined;
+  user.phoneOtpExpire = undefined;
+  user.phoneOtpAttempts = 0;
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
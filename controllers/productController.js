@@ -1,7 +1,11 @@
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
+const config = require('../config/config');
+const { recommendSizes } = require('../utils/sizeRecommendation');
+const { correctQuery, relevanceStage, suggest, recordSearch, escapeRegex } = require('../utils/productSearch');
 const path = require('path');
 
 // @desc    Get all products
@@ -13,7 +17,7 @@ exports.getProducts = asyncHandler(async (req, res, next) => {
 
 // @desc    Get single product
 // @route   GET /api/v1/products/:id
-// @access  Public
+// @access  Public (size recommendations when signed in)
 exports.getProduct = asyncHandler(async (req, res, next) => {
   const product = await Product.findById(req.params.id);
 
@@ -23,10 +27,17 @@ exports.getProduct = asyncHandler(async (req, res, next) => {
     );
   }
 
-  res.status(200).json({
+  const response = {
     success: true,
     data: product,
-  });
+  };
+
+  // Signed-in shoppers get a size suggestion for each child profile
+  if (req.user && req.user.children && req.user.children.length > 0) {
+    response.sizeRecommendations = await recommendSizes(product, req.user.children);
+  }
+
+  res.status(200).json(response);
 });
 
 // @desc    Create new review
@@ -362,101 +373,263 @@ function createComparisonMatrix(products) {
 // @route   GET /api/v1/products/search
 // @access  Public
 exports.searchProducts = asyncHandler(async (req, res, next) => {
-  const { keyword, category, minPrice, maxPrice, minRating, color, size, sortBy } = req.query;
-  
+  const { keyword, category, sortBy } = req.query;
+
+  // Keyword search runs against the product text index (see rankedSearch)
+  const search = typeof keyword === 'string' ? keyword.trim() : '';
+  if (search.length > 100) {
+    return next(new ErrorResponse('Search keyword cannot exceed 100 characters', 400));
+  }
+
   // Build the query object
-  const query = {};
+  const categorySlugs = category ? await searchCategorySlugs(category) : null;
+  const query = filterQuery(req.query, categorySlugs);
+
+  // Sorting logic
+  const sortOptions = {
+    'price-asc': { price: 1 },
+    'price-desc': { price: -1 },
+    'rating': { ratings: -1 },
+    'newest': { createdAt: -1 },
+    'popular': { wishlistCount: -1 }
+  };
+
+  // Execute query with pagination and sorting
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const skip = (page - 1) * limit;
+
+  let products;
+  let total;
+  let correctedQuery;
+
+  if (search) {
+    // Keyword searches are ranked by relevance unless another sort is asked for
+    const sort = { ...sortOptions[sortBy], relevance: -1, _id: 1 };
+
+    ({ products, total } = await rankedSearch(query, search, sort, skip, limit));
+
+    // Nothing found: retry once with typos corrected against the catalogue's words
+    if (total === 0) {
+      correctedQuery = await correctQuery(search);
+      if (correctedQuery) {
+        ({ products, total } = await rankedSearch(query, correctedQuery, sort, skip, limit));
+      }
+    }
+
+    // Searches that find something feed the popular-query suggestions
+    if (total > 0 && page === 1) {
+      recordSearch(correctedQuery || search, req);
+    }
+  } else {
+    products = await Product.find(query)
+      .sort(sortOptions[sortBy] || { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    total = await Product.countDocuments(query);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    ...(correctedQuery && { correctedQuery }),
+    data: products
+  });
+});
+
+// Full-text search within `query`: stemmed, multi-word (any word matches, more
+// matching words rank higher) and ordered by boosted relevance
+async function rankedSearch(query, search, sort, skip, limit) {
+  const match = { ...query, $text: { $search: search } };
+
+  const [products, total] = await Promise.all([
+    Product.aggregate([
+      { $match: match },
+      relevanceStage(),
+      { $sort: sort },
+      { $skip: skip },
+      { $limit: limit },
+      // Internal field used by the suggestions
+      { $project: { searchTokens: 0 } }
+    ]),
+    Product.countDocuments(match)
+  ]);
 
-  // Keyword search (name or description)
-  if (keyword) {
-    query.$or = [
-      { name: { $regex: keyword, $options: 'i' } },
-      { description: { $regex: keyword, $options: 'i' } }
-    ];
+  return { products, total };
+}
+
+// Aggregation expression for the distinct values of a variant field across a
+// product's in-stock variants, or `fallback` for products without variants.
+// `selected` restricts the variants to the chosen size and/or color.
+function optionValues(field, fallback, selected = {}) {
+  const conditions = [{ $gt: ['$$this.stock', 0] }];
+  if (selected.size) {
+    conditions.push({ $eq: ['$$this.size', selected.size.toUpperCase()] });
+  }
+  if (selected.color) {
+    conditions.push({
+      $regexMatch: { input: { $ifNull: ['$$this.color', ''] }, regex: escapeRegex(String(selected.color)), options: 'i' }
+    });
   }
 
+  return {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+      {
+        $setUnion: [{
+          $map: {
+            input: { $filter: { input: '$variants', cond: { $and: conditions } } },
+            in: `$$this.${field}`
+          }
+        }]
+      },
+      fallback
+    ]
+  };
+}
+
+// Slugs searched for a category filter; a parent category includes everything
+// nested under it
+function searchCategorySlugs(category) {
+  return Category.subtreeSlugs(String(category).toLowerCase(), { activeOnly: true });
+}
+
+// Query for the search filters in `params` (keyword matching is added separately).
+// `except` names one filter to leave out: 'category', 'price', 'rating', 'color' or 'size'.
+function filterQuery(params, categorySlugs, except) {
+  const { minPrice, maxPrice, minRating, inStock } = params;
+  const color = except === 'color' ? undefined : params.color;
+  const size = except === 'size' ? undefined : params.size;
+  const query = {};
+
   // Category filter
-  if (category) {
-    query.category = { $regex: new RegExp(`^${category}$`, 'i') };
+  if (categorySlugs && except !== 'category') {
+    query.category = { $in: categorySlugs };
   }
 
   // Price range filter
-  if (minPrice || maxPrice) {
+  if ((minPrice || maxPrice) && except !== 'price') {
     query.price = {};
     if (minPrice) query.price.$gte = Number(minPrice);
     if (maxPrice) query.price.$lte = Number(maxPrice);
   }
 
   // Rating filter
-  if (minRating) {
+  if (minRating && except !== 'rating') {
     query.ratings = { $gte: Number(minRating) };
   }
 
-  // Color filter
-  if (color) {
-    query.color = { $regex: new RegExp(color, 'i') };
+  // Size and color filters match an in-stock variant; products without
+  // variants are matched on their own size list and color
+  if (color || size) {
+    const variantMatch = { stock: { $gt: 0 } };
+    const plainMatch = { 'variants.0': { $exists: false } };
+
+    // Colors match as plain text ("red" finds "Dark Red"), never as a pattern
+    if (color) {
+      const colorPattern = new RegExp(escapeRegex(String(color)), 'i');
+      variantMatch.color = { $regex: colorPattern };
+      plainMatch.color = { $regex: colorPattern };
+    }
+
+    if (size) {
+      variantMatch.size = size.toUpperCase();
+      plainMatch.size = { $in: [size.toUpperCase()] };
+    }
+
+    query.$and = [{ $or: [{ variants: { $elemMatch: variantMatch } }, plainMatch] }];
   }
 
-  // Size filter
-  if (size) {
-    query.size = { $in: [size.toUpperCase()] };
+  // Only products with stock left
+  if (inStock === 'true') {
+    query.stock = { $gt: 0 };
   }
 
-  // Sorting logic
-  const sortOptions = {
-    'price-asc': 'price',
-    'price-desc': '-price',
-    'rating': '-ratings',
-    'newest': '-createdAt',
-    'popular': '-wishlistCount'
-  };
+  return query;
+}
 
-  const sort = sortOptions[sortBy] || '-createdAt';
+// @desc    Suggest completions while typing a search
+// @route   GET /api/v1/products/search/suggest
+// @access  Public
+exports.getSearchSuggestions = asyncHandler(async (req, res, next) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-  // Execute query with pagination and sorting
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const skip = (page - 1) * limit;
+  if (q.length < 2 || q.length > 50) {
+    return next(new ErrorResponse('Please provide a search prefix of 2 to 50 characters', 400));
+  }
 
-  const products = await Product.find(query)
-    .sort(sort)
-    .skip(skip)
-    .limit(limit);
-    
-  const total = await Product.countDocuments(query);
+  const suggestions = await suggest(q, config.searchSuggestLimit);
 
   res.status(200).json({
     success: true,
-    count: products.length,
-    total,
-    page,
-    pages: Math.ceil(total / limit),
-    data: products
+    data: suggestions
   });
 });
 
-// @desc    Get available search filters
+// @desc    Get available search filters for the current search
 // @route   GET /api/v1/products/search/filters
 // @access  Public
 exports.getSearchFilters = asyncHandler(async (req, res, next) => {
+  const { keyword, category } = req.query;
+
+  const search = typeof keyword === 'string' ? keyword.trim() : '';
+  if (search.length > 100) {
+    return next(new ErrorResponse('Search keyword cannot exceed 100 characters', 400));
+  }
+
+  const categorySlugs = category ? await searchCategorySlugs(category) : null;
+
+  // Match the same products as searchProducts, including its typo-corrected retry
+  let textMatch = search ? { $text: { $search: search } } : null;
+  let correctedQuery;
+
+  if (textMatch && !(await Product.exists({ ...filterQuery(req.query, categorySlugs), ...textMatch }))) {
+    correctedQuery = await correctQuery(search);
+    if (correctedQuery) {
+      textMatch = { $text: { $search: correctedQuery } };
+    }
+  }
+
+  // Each facet counts the current results with every filter except its own, so
+  // shoppers see how many products each other choice would give them
+  const facetMatch = (except) => ({ $match: filterQuery(req.query, categorySlugs, except) });
+  const { color, size } = req.query;
+
   const filters = await Product.aggregate([
+    ...(textMatch ? [{ $match: textMatch }] : []),
     {
       $facet: {
+        total: [
+          facetMatch(),
+          { $count: 'count' }
+        ],
         categories: [
-          { $group: { _id: '$category', count: { $sum: 1 } } },
-          { $sort: { _id: 1 } }
+          facetMatch('category'),
+          { $group: { _id: '$category', count: { $sum: 1 } } }
         ],
+        // Colors and sizes count products with an in-stock variant of each
+        // (in the chosen size, or color, when one is selected)
         colors: [
-          { $match: { color: { $exists: true, $ne: '' } } },
-          { $group: { _id: '$color', count: { $sum: 1 } } },
+          facetMatch('color'),
+          { $project: { colors: optionValues('color', ['$color'], { size }) } },
+          { $unwind: '$colors' },
+          { $match: { colors: { $nin: [null, ''] } } },
+          { $group: { _id: '$colors', count: { $sum: 1 } } },
           { $sort: { _id: 1 } }
         ],
         sizes: [
-          { $unwind: '$size' },
-          { $group: { _id: '$size', count: { $sum: 1 } } },
+          facetMatch('size'),
+          { $project: { sizes: optionValues('size', '$size', { color }) } },
+          { $unwind: '$sizes' },
+          { $group: { _id: '$sizes', count: { $sum: 1 } } },
           { $sort: { _id: 1 } }
         ],
         priceRange: [
+          facetMatch('price'),
           { 
             $group: { 
               _id: null,
@@ -466,6 +639,7 @@ exports.getSearchFilters = asyncHandler(async (req, res, next) => {
           }
         ],
         ratings: [
+          facetMatch('rating'),
           { 
             $group: { 
               _id: { $floor: '$ratings' },
@@ -478,8 +652,39 @@ exports.getSearchFilters = asyncHandler(async (req, res, next) => {
     }
   ]);
 
+  const categories = await categoryFacets(filters[0].categories);
+
   res.status(200).json({
     success: true,
-    data: filters[0]
+    ...(correctedQuery && { correctedQuery }),
+    data: {
+      ...filters[0],
+      total: filters[0].total[0]?.count || 0,
+      categories
+    }
   });
-});
\ No newline at end of file
+});
+
+// Active categories in display order (each parent followed by its subcategories),
+// counting their own products plus those of their subcategories. Categories under
+// an inactive parent are left out.
+async function categoryFacets(productCounts) {
+  const categories = await Category.find({ isActive: true }).sort('sortOrder name').lean();
+  const counts = new Map(productCounts.map(c => [c._id, c.count]));
+  const facets = [];
+
+  const visit = (category, parentSlug) => {
+    const facet = { _id: category.slug, name: category.name, parent: parentSlug, count: 0 };
+    facets.push(facet);
+
+    facet.count = categories
+      .filter(c => c.parent && c.parent.equals(category._id))
+      .reduce((sum, child) => sum + visit(child, category.slug), counts.get(category.slug) || 0);
+
+    return facet.count;
+  };
+
+  categories.filter(c => !c.parent).forEach(root => visit(root, null));
+
+  return facets;
+}
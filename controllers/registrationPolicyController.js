@@ -0,0 +1,59 @@
+const RegistrationPolicy = require('../models/RegistrationPolicy');
+const asyncHandler = require('../middlewares/async');
+const { NAME_CHARACTER_FIELDS } = require('../utils/registrationValidator');
+
+const NAME_RULE_FIELDS = ['minLength', 'maxLength', 'maxRepeatedChars'];
+const EMAIL_RULE_FIELDS = [
+  'allowedTLDs',
+  'restrictToAllowedDomains',
+  'allowedDomains',
+  'blockedDomains',
+  'blockedSubstrings',
+  'blockDisposable',
+  'disposableDomains',
+];
+
+// @desc    Get registration policy
+// @route   GET /api/v1/admin/registration-policy
+// @access  Private/Staff (settings:manage)
+exports.getRegistrationPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await RegistrationPolicy.getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+});
+
+// @desc    Update registration policy (partial updates of nameRules/emailRules)
+// @route   PUT /api/v1/admin/registration-policy
+// @access  Private/Staff (settings:manage)
+exports.updateRegistrationPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await RegistrationPolicy.getPolicy();
+  const { nameRules = {}, emailRules = {} } = req.body;
+
+  NAME_RULE_FIELDS.forEach(field => {
+    if (nameRules[field] !== undefined) policy.nameRules[field] = nameRules[field];
+  });
+
+  const { allowedCharacters } = nameRules;
+  if (allowedCharacters && typeof allowedCharacters === 'object') {
+    NAME_CHARACTER_FIELDS.forEach(field => {
+      if (allowedCharacters[field] !== undefined) {
+        policy.nameRules.allowedCharacters[field] = allowedCharacters[field];
+      }
+    });
+  }
+
+  EMAIL_RULE_FIELDS.forEach(field => {
+    if (emailRules[field] !== undefined) policy.emailRules[field] = emailRules[field];
+  });
+
+  policy.updatedBy = req.user.id;
+  await policy.save();
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+});
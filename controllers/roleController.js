@@ -0,0 +1,93 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middlewares/async');
+const { PERMISSIONS } = require('../config/permissions');
+
+// @desc    Get all permissions that can be granted
+// @route   GET /api/v1/admin/permissions
+// @access  Private/Staff (roles:manage)
+exports.getPermissions = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: PERMISSIONS,
+  });
+});
+
+// @desc    Get all staff roles
+// @route   GET /api/v1/admin/roles
+// @access  Private/Staff (roles:manage)
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  const roles = await Role.find().sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles,
+  });
+});
+
+// @desc    Create staff role
+// @route   POST /api/v1/admin/roles
+// @access  Private/Staff (roles:manage)
+exports.createRole = asyncHandler(async (req, res, next) => {
+  const { name, description, permissions } = req.body;
+
+  const role = await Role.create({ name, description, permissions });
+
+  res.status(201).json({
+    success: true,
+    data: role,
+  });
+});
+
+// @desc    Update staff role
+// @route   PUT /api/v1/admin/roles/:id
+// @access  Private/Staff (roles:manage)
+exports.updateRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+  }
+
+  // Renaming would orphan users still holding the old name
+  if (req.body.name && req.body.name !== role.name) {
+    return next(new ErrorResponse('Role names cannot be changed', 400));
+  }
+
+  if (req.body.description !== undefined) role.description = req.body.description;
+  if (req.body.permissions !== undefined) role.permissions = req.body.permissions;
+
+  await role.save();
+
+  res.status(200).json({
+    success: true,
+    data: role,
+  });
+});
+
+// @desc    Delete staff role
+// @route   DELETE /api/v1/admin/roles/:id
+// @access  Private/Staff (roles:manage)
+exports.deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+  }
+
+  const assigned = await User.countDocuments({ role: role.name });
+  if (assigned > 0) {
+    return next(
+      new ErrorResponse(`Role '${role.name}' is still assigned to ${assigned} user(s)`, 400)
+    );
+  }
+
+  await role.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -1,6 +1,22 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middlewares/async');
+const { sendTokenResponse } = require('../utils/tokenResponse');
+const { gracePeriodEnd } = require('../utils/accountDeletion');
+const sendEmail = require('../utils/emailService');
+const { validateRegistration, validateName } = require('../utils/registrationValidator');
+const { validatePassword } = require('../utils/passwordPolicy');
+const DataExport = require('../models/DataExport');
+const {
+  generateExport,
+  failStaleExports,
+  getDownloadToken,
+  verifyDownloadToken,
+} = require('../utils/dataExport');
 
 // @desc    Get user profile
 // @route   GET /api/v1/users/me
@@ -18,12 +34,31 @@ exports.getUserProfile = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/users/me
 // @access  Private
 exports.updateUserProfile = asyncHandler(async (req, res, next) => {
-  const fieldsToUpdate = {
-    name: req.body.name,
-    email: req.body.email,
-    phone: req.body.phone,
-    address: req.body.address,
-  };
+  // Email changes need confirmation from the new address
+  if (req.body.email !== undefined && String(req.body.email).trim().toLowerCase() !== req.user.email) {
+    return next(new ErrorResponse('To change your email use PUT /api/v1/users/me/email', 400));
+  }
+
+  // Only these fields can be changed here
+  const fieldsToUpdate = {};
+
+  if (req.body.name !== undefined) {
+    const { error, name } = await validateName(req.body.name);
+    if (error) {
+      return next(new ErrorResponse(error, 400));
+    }
+    fieldsToUpdate.name = name;
+  }
+
+  if (req.body.phone !== undefined) {
+    fieldsToUpdate.phone = req.body.phone;
+
+    // A different number has to be verified again
+    if (req.body.phone !== req.user.phone) {
+      fieldsToUpdate.phoneVerified = false;
+      fieldsToUpdate.phoneVerifiedAt = null;
+    }
+  }
 
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
@@ -36,28 +71,366 @@ exports.updateUserProfile = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Request an email change (confirmed from the new address)
+// @route   PUT /api/v1/users/me/email
+// @access  Private
+exports.requestEmailChange = asyncHandler(async (req, res, next) => {
+  const { error, email: newEmail } = await validateRegistration(
+    { email: req.body.email },
+    { checkName: false }
+  );
+
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (newEmail === user.email) {
+    return next(new ErrorResponse('This is already your email address', 400));
+  }
+
+  // Re-authenticate before handing the account to another address
+  if (user.hasPassword && !(await user.matchPassword(req.body.password || ''))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (await User.exists({ email: newEmail })) {
+    return next(new ErrorResponse('That email address is already in use', 400));
+  }
+
+  user.pendingEmail = newEmail;
+  user.pendingEmailRequestedAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  const confirmUrl = `${req.protocol}://${req.get('host')}/api/v1/users/confirm-email/${user.getEmailChangeToken()}`;
+
+  try {
+    await sendEmail({
+      email: newEmail,
+      subject: 'DressUp - Confirm your new email address',
+      message: `
+        Dear ${user.name},
+
+        Please confirm that you want to use this address for your DressUp account by opening the link below:
+
+        ${confirmUrl}
+
+        This link expires in ${config.emailVerificationExpire}. Until then your account keeps using ${user.email}. If you did not ask for this, you can ignore this email.
+
+        Warm regards,
+        The DressUp Team
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #2c3e50;">Confirm your new email</h1>
+          <p style="font-size: 16px;">Dear ${user.name},</p>
+          <p>Please confirm that you want to use this address for your DressUp account.</p>
+
+          <div style="margin-top: 30px;">
+            <a href="${confirmUrl}"
+               style="background-color: #2c3e50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Confirm Email
+            </a>
+          </div>
+
+          <p style="margin-top: 30px;">This link expires in ${config.emailVerificationExpire}. Until then your account keeps using ${user.email}. If you did not ask for this, you can ignore this email.</p>
+
+          <p>Warm regards,<br>The DressUp Team</p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('Email change confirmation failed:', err);
+
+    user.pendingEmail = undefined;
+    user.pendingEmailRequestedAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  // Let the current address know, in case the account has been taken over
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'DressUp - Email change requested',
+      message: `
+        Dear ${user.name},
+
+        We received a request to change the email address on your DressUp account to ${newEmail}. Nothing changes until the new address is confirmed.
+
+        If this wasn't you, sign in and cancel the change from your account settings, then change your password.
+
+        Warm regards,
+        The DressUp Team
+      `
+    });
+  } catch (err) {
+    console.error('Email change notice failed:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { message: `A confirmation link has been sent to ${newEmail}` },
+  });
+});
+
+// @desc    Cancel a pending email change
+// @route   DELETE /api/v1/users/me/email
+// @access  Private
+exports.cancelEmailChange = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.pendingEmail) {
+    return next(new ErrorResponse('No email change is pending', 400));
+  }
+
+  user.pendingEmail = undefined;
+  user.pendingEmailRequestedAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+// @desc    Confirm an email change from the link sent to the new address
+// @route   GET /api/v1/users/confirm-email/:token
+// @access  Public (signed link)
+exports.confirmEmailChange = asyncHandler(async (req, res, next) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(req.params.token, config.jwtSecret);
+  } catch (err) {
+    return next(new ErrorResponse('Confirmation link is invalid or has expired', 400));
+  }
+
+  if (decoded.purpose !== 'email-change') {
+    return next(new ErrorResponse('Confirmation link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // Only the latest request counts, and only while the old address is still current
+  if (!user || user.email !== decoded.email || user.pendingEmail !== decoded.newEmail) {
+    return next(new ErrorResponse('Confirmation link is invalid or has expired', 400));
+  }
+
+  if (await User.exists({ email: decoded.newEmail })) {
+    return next(new ErrorResponse('That email address is already in use', 400));
+  }
+
+  user.email = decoded.newEmail;
+  user.isVerified = true;
+  user.verifiedAt = Date.now();
+  user.pendingEmail = undefined;
+  user.pendingEmailRequestedAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { message: `Your email address is now ${user.email}` },
+  });
+});
+
 // @desc    Update password
 // @route   PUT /api/v1/users/updatepassword
 // @access  Private
 exports.updatePassword = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id).select('+password');
 
+  if (!user.hasPassword) {
+    return next(new ErrorResponse('No password is set for this account. Use /api/v1/users/setpassword instead', 400));
+  }
+
   // Check current password
   if (!(await user.matchPassword(req.body.currentPassword))) {
     return next(new ErrorResponse('Password is incorrect', 401));
   }
 
+  const passwordError = await validatePassword(req.body.newPassword, user);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
+  user.password = req.body.newPassword;
+  await user.save();
+
+  // Sign out every other device holding the old credentials
+  await Session.revokeAllForUser(user._id);
+
+  // The new session replaces the current one, so it keeps its 2FA status
+  await sendTokenResponse(user, 200, req, res, {
+    authMethod: 'password-change',
+    twoFactorVerified: req.authSession.twoFactorVerified,
+  });
+});
+
+// @desc    Set a password on an account that does not have one (e.g. Google-only)
+// @route   PUT /api/v1/users/setpassword
+// @access  Private
+exports.setPassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (user.hasPassword) {
+    return next(new ErrorResponse('A password is already set. Use /api/v1/users/updatepassword instead', 400));
+  }
+
+  const passwordError = await validatePassword(req.body.newPassword, user);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+// @desc    Unlink a sign-in provider from the account
+// @route   DELETE /api/v1/users/me/providers/:provider
+// @access  Private
+exports.unlinkProvider = asyncHandler(async (req, res, next) => {
+  if (req.params.provider !== 'google') {
+    return next(new ErrorResponse(`Unknown sign-in provider '${req.params.provider}'`, 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+googleId');
+
+  if (!user.googleId) {
+    return next(new ErrorResponse('Google sign-in is not linked to this account', 400));
+  }
+
+  // Removing the only way to sign in would lock the user out
+  if (!user.hasPassword) {
+    return next(new ErrorResponse('Please set a password before unlinking Google sign-in', 400));
+  }
+
+  user.googleId = undefined;
+  user.isGoogleAuth = false;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
 });
 
-// @desc    Delete user account
+// @desc    Request account deletion (purged after a grace period)
 // @route   DELETE /api/v1/users/me
 // @access  Private
 exports.deleteUserAccount = asyncHandler(async (req, res, next) => {
-  await User.findByIdAndDelete(req.user.id);
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (user.deletionScheduledFor) {
+    return next(new ErrorResponse('Account deletion has already been requested', 400));
+  }
+
+  // Confirm it is really the owner asking
+  if (user.hasPassword && !(await user.matchPassword(req.body.password))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  user.deletionRequestedAt = Date.now();
+  user.deletionScheduledFor = gracePeriodEnd();
+  await user.save({ validateBeforeSave: false });
+
+  // Sign out everywhere except the device that made the request
+  await Session.revokeAllForUser(user._id, req.authSession._id);
+
+  const deletionDate = user.deletionScheduledFor.toLocaleDateString();
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'DressUp - Account deletion requested',
+      message: `
+        Dear ${user.name},
+
+        We received your request to delete your DressUp account. Your account and personal data will be permanently deleted on ${deletionDate}.
+
+        Changed your mind? Sign in before then and cancel the deletion from your account settings.
+
+        Past orders are kept for accounting purposes, but your name, address and phone number will be removed from them.
+
+        Warm regards,
+        The DressUp Team
+      `
+    });
+  } catch (err) {
+    console.error('Deletion request email failed:', err);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      message: `Your account will be deleted on ${deletionDate}`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    },
+  });
+});
+
+// @desc    Cancel a pending account deletion
+// @route   POST /api/v1/users/me/cancel-deletion
+// @access  Private
+exports.cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledFor) {
+    return next(new ErrorResponse('No account deletion is pending', 400));
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+// @desc    Get devices the user is currently signed in on
+// @route   GET /api/v1/users/me/sessions
+// @access  Private
+exports.getMySessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    impersonatedBy: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  })
+    .select('authMethod browser os platform isMobile ip createdAt lastUsedAt expiresAt')
+    .sort('-lastUsedAt');
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.authSession._id),
+    })),
+  });
+});
+
+// @desc    Sign out a single device
+// @route   DELETE /api/v1/users/me/sessions/:id
+// @access  Private
+exports.revokeMySession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!session || session.revokedAt) {
+    return next(new ErrorResponse(`Session not found with id of ${req.params.id}`, 404));
+  }
+
+  session.revokedAt = Date.now();
+  await session.save();
 
   res.status(200).json({
     success: true,
@@ -65,27 +438,104 @@ exports.deleteUserAccount = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// @desc    Get recent sign-ins to the account
+// @route   GET /api/v1/users/me/login-history
+// @access  Private
+exports.getMyLoginHistory = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+
+  const history = await LoginHistory.find({ user: req.user.id })
+    .select('-user -session')
+    .sort('-createdAt')
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: history.length,
+    data: history,
+  });
+});
 
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+// @desc    Request a copy of all personal data
+// @route   POST /api/v1/users/me/export
+// @access  Private
+exports.requestDataExport = asyncHandler(async (req, res, next) => {
+  await failStaleExports({ user: req.user.id });
+  const inProgress = await DataExport.findOne({ user: req.user.id, status: 'pending' });
 
-  if (process.env.NODE_ENV === 'production') {
-    options.secure = true;
+  if (inProgress) {
+    return next(new ErrorResponse('A data export is already being prepared', 409));
   }
 
-  res
-    .status(statusCode)
-    .cookie('token', token, options)
-    .json({
-      success: true,
-      token,
-    });
-};
\ No newline at end of file
+  const dataExport = await DataExport.create({ user: req.user.id });
+
+  // Build the archive in the background; the user is emailed when it is ready
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  setImmediate(() => {
+    generateExport(dataExport._id, baseUrl).catch(err =>
+      console.error(`Data export ${dataExport._id} failed:`, err)
+    );
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Your data export is being prepared. We will email you a download link when it is ready.',
+    data: dataExport,
+  });
+});
+
+// @desc    Get the status of a data export
+// @route   GET /api/v1/users/me/export/:id
+// @access  Private
+exports.getDataExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!dataExport) {
+    return next(new ErrorResponse(`Data export not found with id of ${req.params.id}`, 404));
+  }
+
+  const data = dataExport.toObject();
+
+  if (dataExport.status === 'ready') {
+    const downloadUrl = `${req.protocol}://${req.get('host')}/api/v1/users/exports/${getDownloadToken(dataExport)}`;
+    data.downloads = {
+      json: `${downloadUrl}?format=json`,
+      pdf: `${downloadUrl}?format=pdf`,
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Download a data export
+// @route   GET /api/v1/users/exports/:token?format=json|pdf
+// @access  Public (signed link)
+exports.downloadDataExport = asyncHandler(async (req, res, next) => {
+  const exportId = verifyDownloadToken(req.params.token);
+
+  if (!exportId) {
+    return next(new ErrorResponse('Download link is invalid or has expired', 400));
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    status: 'ready',
+    expiresAt: { $gt: Date.now() },
+  }).select('+jsonPath +pdfPath');
+
+  if (!dataExport) {
+    return next(new ErrorResponse('Download link is invalid or has expired', 400));
+  }
+
+  const format = req.query.format === 'pdf' ? 'pdf' : 'json';
+  const filePath = format === 'pdf' ? dataExport.pdfPath : dataExport.jsonPath;
+
+  res.download(filePath, `dressup-data-export.${format}`, err => {
+    if (err && !res.headersSent) {
+      next(new ErrorResponse('Export file is no longer available', 410));
+    }
+  });
+});
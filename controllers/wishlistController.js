@@ -144,44 +144,62 @@ exports.moveToCart = asyncHandler(async (req, res, next) => {
   const wishlistItem = wishlist.items[itemIndex];
   const product = wishlistItem.product;
 
-  // Check stock
-  if (product.stock < quantity) {
-    return next(
-      new ErrorResponse(
-        `Not enough stock. Only ${product.stock} items available`,
-        400
-      )
-    );
+  // Products with variants move the wishlisted size/color variant
+  let variant;
+  if (product.variants.length > 0) {
+    variant = product.findVariant(wishlistItem.size, wishlistItem.color);
+
+    if (!variant) {
+      return next(
+        new ErrorResponse(
+          `Please choose an available size and color for this product first. Available: ${product.variantOptions() || 'none'}`,
+          400
+        )
+      );
+    }
   }
 
   // Find or create cart
   let cart = await Cart.findOne({ user: req.user.id });
   if (!cart) {
-    cart = await Cart.create({
+    cart = new Cart({
       user: req.user.id,
       items: [],
       totalPrice: 0
     });
   }
 
+  const line = {
+    product: product._id,
+    size: variant ? variant.size : wishlistItem.size,
+    color: variant ? variant.color : wishlistItem.color,
+    variant: variant && variant._id
+  };
+
   // Check if item already exists in cart
-  const cartItemIndex = cart.items.findIndex(
-    item => item.product.toString() === product._id.toString() &&
-           item.size === wishlistItem.size &&
-           item.color === wishlistItem.color
-  );
+  const cartItem = cart.items.find(item => item.isSameLine(line));
+  const available = product.stockFor(variant);
+
+  // Check stock, counting what is already in the cart
+  if (available < quantity + (cartItem ? cartItem.quantity : 0)) {
+    return next(
+      new ErrorResponse(
+        `Not enough stock. Only ${available} items available`,
+        400
+      )
+    );
+  }
 
-  if (cartItemIndex > -1) {
+  if (cartItem) {
     // Update quantity if exists
-    cart.items[cartItemIndex].quantity += quantity;
+    cartItem.quantity += quantity;
   } else {
     // Add new item to cart
     cart.items.push({
-      product: product._id,
+      ...line,
       quantity,
-      size: wishlistItem.size,
-      color: wishlistItem.color,
-      price: product.price
+      sku: variant && variant.sku,
+      price: product.priceFor(variant)
     });
   }
 
@@ -12,6 +12,8 @@ const hpp = require('hpp');
 const cookieParser = require('cookie-parser');
 const errorHandler = require('./middlewares/errorMiddleware');
 const connectDB = require('./config/db');
+const { processScheduledDeletions } = require('./utils/accountDeletion');
+const { cleanupExpiredExports } = require('./utils/dataExport');
 
 // Load env vars
 dotenv.config({ path: '.env' });
@@ -34,8 +36,12 @@ const app = express();
 // Set security headers
 app.use(helmet());
 
-// Enable CORS
-app.use(cors());
+// Enable CORS (with credentials for the storefront origins so auth cookies are sent)
+app.use(cors(
+  process.env.CORS_ORIGINS
+    ? { origin: process.env.CORS_ORIGINS.split(',').map(o => o.trim()), credentials: true }
+    : undefined
+));
 
 // Parse JSON bodies
 app.use(express.json());
@@ -127,6 +133,16 @@ const server = app.listen(
     )
   );
   
+  // Purge accounts whose deletion grace period has ended and expired data exports (hourly)
+  setInterval(() => {
+    processScheduledDeletions().catch(err =>
+      console.log(`Scheduled deletion error: ${err.message}`.red.bold)
+    );
+    cleanupExpiredExports().catch(err =>
+      console.log(`Data export cleanup error: ${err.message}`.red.bold)
+    );
+  }, 60 * 60 * 1000);
+
   // Handle unhandled promise rejections
   process.on('unhandledRejection', (err, promise) => {
     console.log(`Error: ${err.message}`.red.bold);
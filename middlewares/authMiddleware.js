@@ -1,9 +1,14 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const ImpersonationLog = require('../models/ImpersonationLog');
 const ErrorResponse = require('../utils/errorResponse');
+const { hasValidCsrfToken, isSafeMethod } = require('./csrfMiddleware');
 
-// Protect routes
+// Protect routes (bearer token for mobile/API clients, httpOnly cookie for the web storefront)
 exports.protect = async (req, res, next) => {
   let token;
 
@@ -12,18 +17,111 @@ exports.protect = async (req, res, next) => {
     req.headers.authorization.startsWith('Bearer')
   ) {
     token = req.headers.authorization.split(' ')[1];
+    req.authVia = 'bearer';
+  } else if (req.cookies && req.cookies.token && req.cookies.token !== 'none') {
+    token = req.cookies.token;
+    req.authVia = 'cookie';
   }
 
   if (!token) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
 
+  // Browsers attach cookies to cross-site requests, so state changes need a CSRF token
+  if (req.authVia === 'cookie' && !isSafeMethod(req) && !hasValidCsrfToken(req)) {
+    return next(new ErrorResponse('Invalid or missing CSRF token', 403));
+  }
+
   try {
     // Verify token
     const decoded = jwt.verify(token, config.jwtSecret);
 
+    // Access tokens are only valid while their session is still active
+    const session = decoded.sid && await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return next(new ErrorResponse('Session has expired or was revoked', 401));
+    }
+
     req.user = await User.findById(decoded.id);
 
+    if (!req.user) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    // Staff sessions only count if they were opened through the 2FA login
+    if (req.user.isStaff() && !session.twoFactorVerified) {
+      return next(new ErrorResponse('Two-factor authentication is required for staff accounts', 401));
+    }
+
+    req.authSession = session;
+
+    // Flag and audit every request made while a staff member is signed in as the user
+    if (session.impersonatedBy) {
+      req.impersonatedBy = session.impersonatedBy;
+      res.set('X-Impersonation', 'true');
+      req.impersonationActionId = await ImpersonationLog.recordAction(session._id, req);
+    }
+
+    next();
+  } catch (err) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+};
+
+// Identify the user when credentials are sent, but let anonymous requests through.
+// Credentials that are sent but invalid, expired or revoked are rejected like
+// `protect` does, so clients refresh their token instead of silently acting as a guest.
+exports.optionalAuth = (req, res, next) => {
+  const hasCredentials =
+    (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) ||
+    (req.cookies && req.cookies.token && req.cookies.token !== 'none');
+
+  if (!hasCredentials) {
+    return next();
+  }
+
+  exports.protect(req, res, next);
+};
+
+// Protect routes that partner integrations may call: accepts an API key
+// (X-API-Key header or "Authorization: ApiKey <key>") and falls back to JWT auth
+exports.protectWithApiKey = async (req, res, next) => {
+  let rawKey = req.headers['x-api-key'];
+
+  if (!rawKey && req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    rawKey = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!rawKey) {
+    return exports.protect(req, res, next);
+  }
+
+  try {
+    const apiKey = await ApiKey.findByKey(rawKey);
+
+    if (!apiKey) {
+      return next(new ErrorResponse('Invalid or revoked API key', 401));
+    }
+
+    req.user = await User.findById(apiKey.createdBy);
+
+    // A key stops working once its owner is removed or demoted to customer
+    if (!req.user || !req.user.isStaff()) {
+      return next(new ErrorResponse('Invalid or revoked API key', 401));
+    }
+
+    req.apiKey = apiKey;
+    req.authVia = 'apikey';
+
+    // Record usage at most once a minute to keep writes down
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > 60 * 1000) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: Date.now(), lastUsedIp: req.ip }
+      );
+    }
+
     next();
   } catch (err) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
@@ -43,4 +141,69 @@ exports.authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Require every listed permission from the user's role
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.permissions) {
+        req.permissions = await Role.permissionsFor(req.user.role);
+
+        // API keys are limited to their scopes within the owner's permissions
+        if (req.apiKey) {
+          req.permissions = req.permissions.filter(p => req.apiKey.scopes.includes(p));
+        }
+      }
+
+      const missing = permissions.filter(p => !req.permissions.includes(p));
+
+      if (missing.length > 0) {
+        return next(
+          new ErrorResponse(
+            `Missing permission ${missing.join(', ')} to access this route`,
+            403
+          )
+        );
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// Block sensitive account and payment actions for impersonation sessions
+exports.blockImpersonation = async (req, res, next) => {
+  if (!req.impersonatedBy) {
+    return next();
+  }
+
+  try {
+    await ImpersonationLog.markBlocked(req.authSession._id, req.impersonationActionId);
+  } catch (err) {
+    return next(err);
+  }
+
+  next(new ErrorResponse('This action is not allowed while impersonating a user', 403));
+};
+
+// Require a verified email address when REQUIRE_VERIFIED_EMAIL=true
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (config.requireVerifiedEmailForCheckout && !req.user.isVerified) {
+    return next(
+      new ErrorResponse('Please verify your email address before continuing', 403)
+    );
+  }
+  next();
+};
+
+// Require a verified phone number (switched on with REQUIRE_VERIFIED_PHONE=true)
+exports.requireVerifiedPhone = (req, res, next) => {
+  if (config.requireVerifiedPhoneForCheckout && !req.user.phoneVerified) {
+    return next(
+      new ErrorResponse('Please verify your phone number before continuing', 403)
+    );
+  }
+  next();
+};
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const ErrorResponse = require('../utils/errorResponse');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Double-submit check: the X-CSRF-Token header must match the csrfToken cookie
+const hasValidCsrfToken = (req) => {
+  const cookieToken = req.cookies && req.cookies.csrfToken;
+  const headerToken = req.headers['x-csrf-token'];
+
+  if (!cookieToken || typeof headerToken !== 'string' || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+exports.hasValidCsrfToken = hasValidCsrfToken;
+
+exports.isSafeMethod = (req) => SAFE_METHODS.includes(req.method);
+
+// Require a CSRF token when the refresh token is taken from its cookie
+// (mobile clients that send it in the body are not affected)
+exports.verifyRefreshCsrf = (req, res, next) => {
+  if (req.body.refreshToken || !req.cookies.refreshToken) {
+    return next();
+  }
+
+  if (!hasValidCsrfToken(req)) {
+    return next(new ErrorResponse('Invalid or missing CSRF token', 403));
+  }
+
+  next();
+};
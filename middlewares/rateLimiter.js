@@ -12,7 +12,31 @@ const authLimiter = rateLimit({
   message: 'Too many login attempts from this IP, please try again after 15 minutes',
 });
 
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 15, // limit each IP to 15 code sends/checks per windowMs
+  message: 'Too many verification attempts from this IP, please try again after 15 minutes',
+});
+
+const guestOrderLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 guest orders per windowMs
+  message: 'Too many guest orders from this IP, please try again after an hour',
+});
+
+// Per-key limit for partner API keys; requests without a key are not counted here
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => `apikey:${req.apiKey.id}`,
+  skip: (req) => !req.apiKey,
+  message: 'API key rate limit exceeded, please slow down',
+});
+
 module.exports = {
   limiter,
   authLimiter,
+  otpLimiter,
+  guestOrderLimiter,
+  apiKeyLimiter,
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'dk';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the API key'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters'],
+  },
+  // Public part of the key, used to look it up
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // SHA-256 of the secret part; the raw key is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: '{VALUE} is not a valid API key scope'
+      }
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'Please grant at least one scope'
+    }
+  },
+  // Requests allowed per minute for this key
+  rateLimit: {
+    type: Number,
+    default: 60,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [1000, 'Rate limit cannot exceed 1000 requests per minute'],
+  },
+  // Key acts on behalf of this staff member and never exceeds their permissions
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    },
+  },
+});
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Generate a new secret for this key; returns the full key to hand to the partner
+apiKeySchema.methods.generateKey = function () {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  this.keyId = crypto.randomBytes(6).toString('hex');
+  this.keyHash = hashSecret(secret);
+
+  return `${KEY_PREFIX}_${this.keyId}_${secret}`;
+};
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Resolve a raw key to its active ApiKey document, or null
+apiKeySchema.statics.findByKey = async function (rawKey) {
+  const [prefix, keyId, secret] = String(rawKey).split('_');
+  if (prefix !== KEY_PREFIX || !keyId || !secret) return null;
+
+  const apiKey = await this.findOne({ keyId }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  const expected = Buffer.from(apiKey.keyHash);
+  const actual = Buffer.from(hashSecret(secret));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -18,18 +19,46 @@ const cartItemSchema = new mongoose.Schema({
   color: {
     type: String,
   },
+  // Product variant (size/color) this line draws stock from, when the product has variants
+  variant: {
+    type: mongoose.Schema.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
   price: {
     type: Number,
     required: true,
   },
 });
 
+// Same product in the same variant (or size/color for products without variants)
+cartItemSchema.methods.isSameLine = function (other) {
+  if (this.product.toString() !== other.product.toString()) return false;
+  if (this.variant || other.variant) {
+    return String(this.variant) === String(other.variant);
+  }
+  return this.size === other.size && this.color === other.color;
+};
+
 const cartSchema = new mongoose.Schema({
+  // Signed-in shoppers own their cart; guests are identified by an anonymous cart token
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return !this.guestTokenHash; },
     unique: true,
+    sparse: true,
+  },
+  // SHA-256 hash of the guest's cart token
+  guestTokenHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // Abandoned guest carts are removed after this (TTL index)
+  guestExpiresAt: {
+    type: Date,
   },
   items: [cartItemSchema],
   totalPrice: {
@@ -48,4 +77,53 @@ const cartSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+cartSchema.index({ guestExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+cartSchema.methods.calculateTotal = function () {
+  this.totalPrice = this.items.reduce(
+    (total, item) => total + item.price * item.quantity,
+    0
+  );
+  return this.totalPrice;
+};
+
+// Move a guest cart's items into the user's cart (lines for the same product variant are combined)
+cartSchema.statics.mergeGuestCart = async function (userId, guestToken) {
+  const guestCart = await this.findOne({ guestTokenHash: this.hashToken(guestToken) });
+  if (!guestCart) return null;
+
+  let cart = await this.findOne({ user: userId });
+  if (!cart) {
+    cart = new this({ user: userId, items: [] });
+  }
+
+  guestCart.items.forEach(guestItem => {
+    const existing = cart.items.find(item => item.isSameLine(guestItem));
+
+    if (existing) {
+      existing.quantity += guestItem.quantity;
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        quantity: guestItem.quantity,
+        size: guestItem.size,
+        color: guestItem.color,
+        variant: guestItem.variant,
+        sku: guestItem.sku,
+        price: guestItem.price,
+      });
+    }
+  });
+
+  cart.calculateTotal();
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
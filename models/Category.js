@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CATEGORIES } = require('../config/categories');
+const SIZE_CHARTS = require('../config/sizeCharts');
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a category name'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters'],
+  },
+  // Products reference their category by slug
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and dashes'],
+    maxlength: [60, 'Slug cannot exceed 60 characters'],
+  },
+  // Top-level categories have no parent
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  // Position among its siblings (lowest first)
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  // Size chart used for size recommendations (see config/sizeCharts.js);
+  // subcategories without one use their nearest parent's
+  sizeChart: {
+    type: String,
+    enum: {
+      values: Object.keys(SIZE_CHARTS),
+      message: `Size chart must be one of: ${Object.keys(SIZE_CHARTS).join(', ')}`,
+    },
+    default: null,
+  },
+  // Inactive categories are hidden from the storefront and can't take new products
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// Derive the slug from the name and make sure the parent chain doesn't loop back
+categorySchema.pre('validate', async function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+
+  if (this.parent && this.isModified('parent')) {
+    let parentId = this.parent;
+    while (parentId) {
+      if (parentId.equals(this._id)) {
+        this.invalidate('parent', 'A category cannot be placed under itself or one of its subcategories');
+        break;
+      }
+      const parent = await this.constructor.findById(parentId).select('parent').lean();
+      if (!parent) {
+        this.invalidate('parent', `Parent category not found with id of ${this.parent}`);
+        break;
+      }
+      parentId = parent.parent;
+    }
+  }
+
+  next();
+});
+
+// Slugs of a category and everything nested under it (empty when the slug is unknown)
+categorySchema.statics.subtreeSlugs = async function (slug, { activeOnly = false } = {}) {
+  const filter = activeOnly ? { isActive: true } : {};
+
+  const root = await this.findOne({ ...filter, slug }).select('slug').lean();
+  if (!root) return [];
+
+  const slugs = [root.slug];
+  let parentIds = [root._id];
+
+  while (parentIds.length > 0) {
+    const children = await this.find({ ...filter, parent: { $in: parentIds } }).select('slug').lean();
+    slugs.push(...children.map(c => c.slug));
+    parentIds = children.map(c => c._id);
+  }
+
+  return slugs;
+};
+
+// A category and its parents, nearest first (empty when the slug is unknown)
+categorySchema.statics.ancestors = async function (slug) {
+  const ancestors = [];
+  let category = await this.findOne({ slug }).select('slug parent sizeChart').lean();
+
+  while (category && !ancestors.some(a => a.slug === category.slug)) {
+    ancestors.push(category);
+    category = category.parent
+      ? await this.findById(category.parent).select('slug parent sizeChart').lean()
+      : null;
+  }
+
+  return ancestors;
+};
+
+// Slugs that products can be assigned to
+categorySchema.statics.activeSlugs = function () {
+  return this.distinct('slug', { isActive: true });
+};
+
+// Whether products can be assigned to a category slug
+categorySchema.statics.isAssignable = async function (slug) {
+  return Boolean(await this.exists({ slug, isActive: true }));
+};
+
+// Seed the default categories into an empty collection. Default categories stored
+// before size charts were kept on categories get their chart once.
+categorySchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount() === 0) {
+    await this.insertMany(DEFAULT_CATEGORIES);
+    return;
+  }
+
+  await Promise.all(
+    DEFAULT_CATEGORIES.filter(c => c.sizeChart).map(({ slug, sizeChart }) =>
+      this.updateOne({ slug, sizeChart: { $exists: false } }, { $set: { sizeChart } })
+    )
+  );
+};
+
+module.exports = mongoose.model('Category', categorySchema);
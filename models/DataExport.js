@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'pending',
+  },
+  jsonPath: {
+    type: String,
+    select: false,
+  },
+  pdfPath: {
+    type: String,
+    select: false,
+  },
+  error: String,
+  completedAt: Date,
+  // Download links stop working after this; files are then removed
+  expiresAt: Date,
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Audit record of a staff member signing in as a customer
+const impersonationLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  session: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true,
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please give a reason for impersonating this user'],
+    trim: true,
+    maxlength: [500, 'Reason can not be more than 500 characters'],
+  },
+  ip: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: Date,
+  endedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Every request made with the impersonation token
+  actions: [{
+    method: String,
+    path: String,
+    blocked: {
+      type: Boolean,
+      default: false,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+// Append a request to the session's audit trail; returns the new action's id
+impersonationLogSchema.statics.recordAction = async function (sessionId, req) {
+  const actionId = new mongoose.Types.ObjectId();
+
+  await this.updateOne(
+    { session: sessionId },
+    { $push: { actions: { _id: actionId, method: req.method, path: req.originalUrl } } }
+  );
+
+  return actionId;
+};
+
+impersonationLogSchema.statics.markBlocked = function (sessionId, actionId) {
+  return this.updateOne(
+    { session: sessionId, 'actions._id': actionId },
+    { $set: { 'actions.$.blocked': true } }
+  );
+};
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
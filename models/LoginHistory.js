@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const AUTH_METHODS = [
+  'password',
+  'register',
+  'google',
+  'two-factor',
+  'password-reset',
+  'password-change',
+  'magic-link',
+];
+
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  session: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Session',
+  },
+  authMethod: {
+    type: String,
+    enum: AUTH_METHODS,
+    required: true,
+  },
+  browser: String,
+  os: String,
+  platform: String,
+  isMobile: Boolean,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+
+// Keep a year of history
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+loginHistorySchema.statics.AUTH_METHODS = AUTH_METHODS;
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
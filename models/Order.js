@@ -17,6 +17,13 @@ const orderItemSchema = new mongoose.Schema({
   color: {
     type: String,
   },
+  // Product variant (size/color) this line draws stock from, when the product has variants
+  variant: {
+    type: mongoose.Schema.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
   price: {
     type: Number,
     required: true,
@@ -62,10 +69,26 @@ const paymentInfoSchema = new mongoose.Schema({
 });
 
 const orderSchema = new mongoose.Schema({
+  // Cleared when the customer's account is deleted (see anonymizedAt);
+  // not set for guest orders until the guest creates an account
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return !this.anonymizedAt && !this.guestEmail; },
+  },
+  // Contact details captured at guest checkout
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+  guestName: {
+    type: String,
+    trim: true,
+  },
+  anonymizedAt: {
+    type: Date,
   },
   orderItems: [orderItemSchema],
   shippingInfo: shippingInfoSchema,
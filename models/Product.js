@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+// A sellable size/color combination with its own stock
+const variantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: [true, 'Please add a variant size'],
+    trim: true,
+  },
+  color: {
+    type: String,
+    trim: true,
+  },
+  sku: {
+    type: String,
+    required: [true, 'Please add a variant SKU'],
+    trim: true,
+    uppercase: true,
+  },
+  barcode: {
+    type: String,
+    trim: true,
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Please add variant stock'],
+    min: [0, 'Variant stock cannot be negative'],
+    default: 0,
+  },
+  // Overrides the product price for this variant when set
+  price: {
+    type: Number,
+    min: [0.01, 'Variant price must be greater than 0'],
+  },
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -21,6 +55,7 @@ const productSchema = new mongoose.Schema({
   color: {
     type: String,
   },
+  // Offered sizes; derived from the variants when the product has them
   size: {
     type: [String],
     required: true,
@@ -41,17 +76,46 @@ const productSchema = new mongoose.Schema({
       },
     },
   ],
+  // Slug of a Category. Products can only be moved into active categories, but
+  // products already in a deactivated one can still be edited.
   category: {
     type: String,
     required: [true, 'Please add a category'],
-    enum: ['shirts', 'pants', 'shoes', 'accessories','t-shirt'],
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: async function(v) {
+        const Category = mongoose.model('Category');
+        if (this instanceof mongoose.Document && !this.isModified('category')) {
+          return Boolean(await Category.exists({ slug: v }));
+        }
+        return Category.isAssignable(v);
+      },
+      message: props => `'${props.value}' is not an active category`
+    }
   },
+  // Total stock; the sum of variant stock when the product has variants
   stock: {
     type: Number,
     required: [true, 'Please add stock quantity'],
     maxlength: [10, 'Stock cannot exceed 10 characters'],
     default: 1,
   },
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: function(variants) {
+        const keys = variants.map(v => `${v.size}|${(v.color || '').toLowerCase()}`);
+        return new Set(keys).size === keys.length;
+      },
+      message: 'Each size and color combination can only have one variant'
+    }
+  },
+  // Lowercase words of the name, for prefix suggestions while typing
+  searchTokens: {
+    type: [String],
+    select: false,
+  },
   numOfReviews: {
     type: Number,
     default: 0,
@@ -105,6 +169,124 @@ const productSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Full-text search index; matches in the name count most
+productSchema.index(
+  {
+    name: 'text',
+    category: 'text',
+    color: 'text',
+    'variants.color': 'text',
+    description: 'text',
+  },
+  {
+    name: 'product_text_search',
+    default_language: 'english',
+    weights: { name: 10, category: 5, color: 3, 'variants.color': 3, description: 1 },
+  }
+);
+
+// Prefix index for search suggestions
+productSchema.index({ searchTokens: 1 });
+
+const nameTokens = (name) =>
+  [...new Set(String(name || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+
+// Keep the product-level size list and stock in step with the variants,
+// and the suggestion tokens in step with the name
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    this.size = [...new Set(this.variants.map(v => v.size))];
+    this.stock = this.variants.reduce((total, v) => total + v.stock, 0);
+  }
+  if (this.isNew || this.isModified('name')) {
+    this.searchTokens = nameTokens(this.name);
+  }
+  next();
+});
+
+// Fill in suggestion tokens for products saved before they existed
+productSchema.statics.ensureSearchTokens = async function () {
+  const products = await this.find({ searchTokens: { $exists: false } }).select('name').lean();
+  if (products.length === 0) return;
+
+  await this.bulkWrite(products.map(product => ({
+    updateOne: {
+      filter: { _id: product._id },
+      update: { $set: { searchTokens: nameTokens(product.name) } },
+    },
+  })));
+};
+
+// Find the variant for a size (and color, when the size comes in several colors).
+// Returns undefined when nothing matches.
+productSchema.methods.findVariant = function(size, color) {
+  const matches = this.variants.filter(v => v.size === size);
+  if (!color) {
+    return matches.length === 1 ? matches[0] : undefined;
+  }
+  return matches.find(v => (v.color || '').toLowerCase() === color.toLowerCase());
+};
+
+// Stock available for a variant, or for the whole product when it has no variants
+productSchema.methods.stockFor = function(variant) {
+  return variant ? variant.stock : this.stock;
+};
+
+productSchema.methods.priceFor = function(variant) {
+  return (variant && variant.price) || this.price;
+};
+
+// Replace the variants with `incoming`, keeping the _id of each variant whose SKU
+// already exists so cart lines and orders that point at it stay valid
+productSchema.methods.mergeVariants = function(incoming) {
+  const bySku = new Map(this.variants.map(v => [v.sku, v]));
+
+  this.variants = incoming.map(({ _id, ...data }) => {
+    const existing = bySku.get(String(data.sku).trim().toUpperCase());
+    if (!existing) return data;
+
+    existing.set({
+      size: data.size,
+      color: data.color,
+      barcode: data.barcode,
+      stock: data.stock,
+      price: data.price,
+    });
+    return existing;
+  });
+};
+
+// Human-readable list of the in-stock variant options, e.g. "S / Red, M / Blue"
+productSchema.methods.variantOptions = function() {
+  return this.variants
+    .filter(v => v.stock > 0)
+    .map(v => (v.color ? `${v.size} / ${v.color}` : v.size))
+    .join(', ');
+};
+
+// Atomically change stock for a product (and variant). Decrements only succeed
+// while enough stock is left; returns whether the stock was changed.
+productSchema.statics.adjustStock = async function(productId, variantId, delta) {
+  const filter = { _id: productId };
+
+  if (variantId) {
+    filter.variants = delta < 0
+      ? { $elemMatch: { _id: variantId, stock: { $gte: -delta } } }
+      : { $elemMatch: { _id: variantId } };
+  } else if (delta < 0) {
+    filter.stock = { $gte: -delta };
+  }
+
+  const update = variantId
+    ? { $inc: { 'variants.$.stock': delta, stock: delta } }
+    : { $inc: { stock: delta } };
+
+  const result = await this.updateOne(filter, update);
+  return result.modifiedCount > 0;
+};
+
 // Clean up wishlist items when product is removed
 productSchema.pre('remove', async function(next) {
   try {
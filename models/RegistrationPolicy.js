@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// Normalise a list of domains/TLDs/substrings: trimmed, lowercase, no duplicates
+const normaliseList = (values) =>
+  [...new Set((values || []).map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+
+const registrationPolicySchema = new mongoose.Schema({
+  // Only one policy document exists; it is looked up by this key
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    immutable: true,
+  },
+  nameRules: {
+    // Character classes a name may contain; the server builds the check from these
+    allowedCharacters: {
+      // A-Z and a-z
+      letters: { type: Boolean, default: true },
+      // Letters from any alphabet, including accented ones
+      accentedLetters: { type: Boolean, default: false },
+      spaces: { type: Boolean, default: true },
+      hyphens: { type: Boolean, default: false },
+      apostrophes: { type: Boolean, default: false },
+      periods: { type: Boolean, default: false },
+      digits: { type: Boolean, default: false }
+    },
+    minLength: {
+      type: Number,
+      default: 3,
+      min: 1
+    },
+    maxLength: {
+      type: Number,
+      default: 50,
+      max: 200
+    },
+    // Reject names with a character repeated more than this many times in a row (0 = off)
+    maxRepeatedChars: {
+      type: Number,
+      default: 2,
+      min: 0
+    }
+  },
+  emailRules: {
+    allowedTLDs: {
+      type: [String],
+      set: normaliseList,
+      default: ['com', 'net', 'org', 'in', 'co', 'edu', 'gov', 'io', 'info', 'ajce']
+    },
+    // When true only `allowedDomains` may register; otherwise any domain not denied
+    restrictToAllowedDomains: {
+      type: Boolean,
+      default: true
+    },
+    allowedDomains: {
+      type: [String],
+      set: normaliseList,
+      default: [
+        'gmail.com',
+        'yahoo.com',
+        'outlook.com',
+        'protonmail.com',
+        'icloud.com',
+        'mca.ajce.in',
+        'duck.com'
+      ]
+    },
+    blockedDomains: {
+      type: [String],
+      set: normaliseList,
+      default: []
+    },
+    blockedSubstrings: {
+      type: [String],
+      set: normaliseList,
+      default: ['.uds', '.ddd']
+    },
+    blockDisposable: {
+      type: Boolean,
+      default: true
+    },
+    disposableDomains: {
+      type: [String],
+      set: normaliseList,
+      default: [
+        'mailinator.com',
+        'guerrillamail.com',
+        '10minutemail.com',
+        'tempmail.com',
+        'temp-mail.org',
+        'yopmail.com',
+        'trashmail.com',
+        'getnada.com',
+        'sharklasers.com',
+        'dispostable.com'
+      ]
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+});
+
+// Names need at least one kind of letter
+registrationPolicySchema.pre('validate', function(next) {
+  const { letters, accentedLetters } = this.nameRules.allowedCharacters;
+  if (!letters && !accentedLetters) {
+    this.invalidate('nameRules.allowedCharacters', 'Names must allow letters or accented letters');
+  }
+  next();
+});
+
+// Fetch the policy, creating it with the defaults on first use
+registrationPolicySchema.statics.getPolicy = async function () {
+  const policy = await this.findOne({ key: 'default' });
+  if (policy) return policy;
+
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('RegistrationPolicy', registrationPolicySchema);
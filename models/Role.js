@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_ROLES, BUILT_IN_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers or dashes'],
+    validate: {
+      validator: function(v) {
+        return !BUILT_IN_ROLES.includes(v);
+      },
+      message: props => `'${props.value}' is a built-in role name`
+    }
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: PERMISSIONS,
+        message: '{VALUE} is not a valid permission'
+      }
+    }],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+// Resolve the permission list for a role name
+roleSchema.statics.permissionsFor = async function (roleName) {
+  if (roleName === 'admin') return PERMISSIONS;
+  if (!roleName || roleName === 'user') return [];
+
+  const role = await this.findOne({ name: roleName }).lean();
+  return role ? role.permissions : [];
+};
+
+// Whether a role name can be assigned to a user
+roleSchema.statics.isAssignable = async function (roleName) {
+  if (BUILT_IN_ROLES.includes(roleName)) return true;
+  return Boolean(await this.exists({ name: roleName }));
+};
+
+// Seed the default staff roles into an empty collection
+roleSchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount() > 0) return;
+  await this.insertMany(DEFAULT_ROLES);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Most recent clients remembered per query, so repeats from one client aren't recounted
+const MAX_CLIENTS = 500;
+
+// Keyword searches that found products, counted for search suggestions
+const searchQuerySchema = new mongoose.Schema({
+  // Normalized query text (lowercase, single spaces); the unique index doubles
+  // as the prefix index for suggestions
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 100,
+  },
+  // Every search, including repeats
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Distinct clients (by IP address) that ran the search; suggestions rank by this
+  // so one client can't promote a query by repeating it
+  clientCount: {
+    type: Number,
+    default: 0,
+  },
+  // Hashes of the most recent distinct clients
+  clients: {
+    type: [String],
+    select: false,
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+searchQuerySchema.index({ clientCount: -1 });
+
+// Normalize a keyword the way queries are stored
+searchQuerySchema.statics.normalize = function (text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+// Count one more search for a query by a client (e.g. an IP address)
+searchQuerySchema.statics.record = async function (text, client) {
+  const query = this.normalize(text);
+  if (!query) return null;
+
+  const clientHash = crypto.createHash('sha256').update(String(client)).digest('hex').slice(0, 16);
+  const now = new Date();
+
+  // A client not seen for this query yet
+  const added = await this.updateOne(
+    { query, clients: { $ne: clientHash } },
+    {
+      $inc: { count: 1, clientCount: 1 },
+      $push: { clients: { $each: [clientHash], $slice: -MAX_CLIENTS } },
+      $set: { lastSearchedAt: now },
+    }
+  );
+  if (added.matchedCount > 0) return added;
+
+  // A repeat search, or the first one for this query
+  return this.updateOne(
+    { query },
+    {
+      $inc: { count: 1 },
+      $set: { lastSearchedAt: now },
+      $setOnInsert: { clients: [clientHash], clientCount: 1 },
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Only the SHA-256 hash of the refresh token is stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    index: true,
+  },
+  // Staff member signed in as this user (impersonation sessions cannot be refreshed)
+  impersonatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  // Set when the login completed a second factor (required for admins)
+  twoFactorVerified: {
+    type: Boolean,
+    default: false,
+  },
+  authMethod: String,
+  userAgent: String,
+  browser: String,
+  os: String,
+  platform: String,
+  isMobile: Boolean,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB purge expired sessions on its own
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+sessionSchema.statics.revokeAllForUser = async function (userId, exceptId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  return this.updateMany(filter, { revokedAt: Date.now() });
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
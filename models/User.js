@@ -1,7 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config=require('../config/config');
+const { checkPasswordRules } = require('../utils/passwordPolicy');
+const Session = require('./Session');
 
 // UserSchema.methods.getSignedJwtToken = function () {
 //   return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
@@ -22,18 +25,26 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     minlength:8
   },
+  // Optional for accounts that only sign in with Google
   password: {
     type: String,
-    required: [true, 'Please add a password'],
-    minlength: 8,
+    required: [
+      function() { return !this.googleId; },
+      'Please add a password'
+    ],
     select: false,
     validate: {
       validator: function(v) {
-        return /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/.test(v);
+        return !checkPasswordRules(v);
       },
-      message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+      message: props => checkPasswordRules(props.value)
     },
   },
+  // Hashes of recent passwords (newest last), so they can't be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   phone: {
     type: String,
     validate: {
@@ -43,6 +54,36 @@ const userSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid phone number!`
     }
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  // Pending phone verification code (hashed) and the number it was sent to
+  phoneOtp: {
+    type: String,
+    select: false
+  },
+  phoneOtpPhone: {
+    type: String,
+    select: false
+  },
+  phoneOtpExpire: {
+    type: Date,
+    select: false
+  },
+  phoneOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // When codes were sent, for throttling
+  phoneOtpSentAt: {
+    type: [Date],
+    select: false
+  },
   addresses: [{
     type: {
       street: String,
@@ -70,18 +111,169 @@ const userSchema = new mongoose.Schema({
     },
     required: false
   }],
+  // Children the user shops for, used for size recommendations
+  children: {
+    type: [{
+      name: {
+        type: String,
+        required: [true, 'Please add the child\'s name'],
+        trim: true,
+        maxlength: [50, 'Name can not be more than 50 characters']
+      },
+      birthDate: {
+        type: Date,
+        required: [true, 'Please add the child\'s birth date'],
+        validate: {
+          validator: function(v) {
+            return v <= Date.now();
+          },
+          message: 'Birth date cannot be in the future'
+        }
+      },
+      // Measurements in centimetres / kilograms
+      height: { type: Number, min: [40, 'Height must be at least 40 cm'], max: [200, 'Height cannot exceed 200 cm'] },
+      weight: { type: Number, min: [2, 'Weight must be at least 2 kg'], max: [150, 'Weight cannot exceed 150 kg'] },
+      chest: { type: Number, min: [30, 'Chest must be at least 30 cm'], max: [150, 'Chest cannot exceed 150 cm'] },
+      waist: { type: Number, min: [30, 'Waist must be at least 30 cm'], max: [150, 'Waist cannot exceed 150 cm'] },
+      preferredFit: {
+        type: String,
+        enum: ['slim', 'regular', 'relaxed'],
+        default: 'regular'
+      }
+    }],
+    validate: {
+      validator: function(children) {
+        return children.length <= 10;
+      },
+      message: 'Maximum of 10 child profiles reached'
+    }
+  },
+  // 'user' for customers, 'admin' for full access, or the name of a staff Role
   role: {
     type: String,
-    enum: ['user', 'admin'],
     default: 'user',
+    validate: {
+      validator: async function(v) {
+        return mongoose.model('Role').isAssignable(v);
+      },
+      message: props => `${props.value} is not a valid role`
+    }
   },
   isGoogleAuth: {
     type: Boolean,
     default: false
   },
+  googleId: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Whether the account has a usable password (false for Google-only accounts)
+  hasPassword: {
+    type: Boolean,
+    default: function() { return !this.googleId; }
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date
+  },
+  // New address waiting for confirmation; `email` only changes once it is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  pendingEmailRequestedAt: {
+    type: Date
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Passwordless sign-in link; only hashes are stored
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: {
+    type: Date,
+    select: false
+  },
+  // Hash of the device secret the link was requested from
+  magicLinkDevice: {
+    type: String,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  recoveryCodes: {
+    type: [String],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Number of lockouts in a row; each one doubles the lock duration
+  lockCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpire: {
+    type: Date,
+    select: false
+  },
+  // Devices (browser/OS/platform + network) the user has signed in from before
+  knownDevices: {
+    type: [{
+      fingerprint: String,
+      browser: String,
+      os: String,
+      platform: String,
+      network: String,
+      lastSeenAt: Date
+    }],
+    select: false
+  },
   avatar: {
     type: String
   },
+  // Set when the user asks to delete their account; purged once the date passes
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -97,18 +289,35 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
-  
+
+  this.hasPassword = Boolean(this.password);
+  if (!this.password) return next();
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.$locals.passwordChanged = true;
     next();
   } catch (err) {
     next(err);
   }
 });
 
+// Record the new hash in the password history. Done with an update so it works
+// even when the history was not selected on this document.
+userSchema.post('save', async function () {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { passwordHistory: { $each: [this.password], $slice: -config.passwordHistoryCount } } }
+  );
+});
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password || !enteredPassword) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
@@ -118,4 +327,184 @@ userSchema.methods.getSignedJwtToken = function () {
   });
 };
 
+// Generate a signed, expiring email verification token bound to the current email
+userSchema.methods.getEmailVerificationToken = function () {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'email-verification' },
+    config.jwtSecret,
+    { expiresIn: config.emailVerificationExpire }
+  );
+};
+
+// Signed link confirming a change to `pendingEmail`. It stops working once the
+// email changes or a different address is requested.
+userSchema.methods.getEmailChangeToken = function () {
+  return jwt.sign(
+    { id: this._id, email: this.email, newEmail: this.pendingEmail, purpose: 'email-change' },
+    config.jwtSecret,
+    { expiresIn: config.emailVerificationExpire }
+  );
+};
+
+// Generate and hash password reset token
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  // Only the hash is stored; the raw token goes out by email
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.resetPasswordExpire = Date.now() + config.resetPasswordExpireMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate a single-use sign-in link token bound to the requesting device.
+// Requesting a new link replaces any earlier one.
+userSchema.methods.getMagicLinkToken = function (deviceSecret) {
+  const magicToken = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicToken)
+    .digest('hex');
+
+  this.magicLinkDevice = crypto
+    .createHash('sha256')
+    .update(deviceSecret)
+    .digest('hex');
+
+  this.magicLinkExpire = Date.now() + config.magicLinkExpireMinutes * 60 * 1000;
+
+  return magicToken;
+};
+
+// Generate a 6-digit phone verification code for `phone`; only its hash is stored
+userSchema.methods.getPhoneOtp = function (phone) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this.phoneOtp = crypto
+    .createHash('sha256')
+    .update(code)
+    .digest('hex');
+  this.phoneOtpPhone = phone;
+  this.phoneOtpExpire = Date.now() + config.phoneOtpExpireMinutes * 60 * 1000;
+  this.phoneOtpAttempts = 0;
+
+  return code;
+};
+
+// Anyone who is not a plain customer has access to the admin area
+userSchema.methods.isStaff = function () {
+  return this.role !== 'user';
+};
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login; returns true when this attempt triggered a lockout
+userSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts < config.maxLoginAttempts) {
+    return false;
+  }
+
+  const minutes = Math.min(
+    config.lockoutBaseMinutes * 2 ** (this.lockCount || 0),
+    config.lockoutMaxMinutes
+  );
+
+  this.lockUntil = Date.now() + minutes * 60 * 1000;
+  this.lockCount = (this.lockCount || 0) + 1;
+  this.failedLoginAttempts = 0;
+
+  return true;
+};
+
+userSchema.methods.clearLoginLock = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockTokenExpire = undefined;
+};
+
+// Generate and hash an account unlock token
+userSchema.methods.getUnlockToken = function () {
+  const unlockToken = crypto.randomBytes(20).toString('hex');
+
+  this.unlockToken = crypto
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+
+  this.unlockTokenExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return unlockToken;
+};
+
+// Generate a fresh set of single-use 2FA recovery codes; only hashes are stored
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code if it matches one of the stored hashes
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+  const index = (this.recoveryCodes || []).indexOf(hash);
+  if (index === -1) return false;
+
+  this.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Admin account the app used to create with published credentials, on a mailbox
+// the operator doesn't own. Until it has 2FA, anyone with the default password (or
+// with access to that mailbox) could sign in and enrol their own authenticator, so
+// it is demoted to a customer account with an unusable password and no sessions.
+// New admins are created through the one-time admin setup.
+const LEGACY_ADMIN_EMAIL = 'admin@gmail.com';
+
+userSchema.statics.retireLegacyAdmin = async function () {
+  const admin = await this.findOne({ email: LEGACY_ADMIN_EMAIL, role: 'admin' }).select('+password');
+  if (!admin || admin.twoFactorEnabled) {
+    return false;
+  }
+
+  const unusable = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  // Written directly so the random password skips the policy; the old hash goes
+  // into the history so it can't be chosen again
+  const update = { $set: { role: 'user', password: unusable } };
+  if (admin.password) {
+    update.$push = { passwordHistory: { $each: [admin.password], $slice: -config.passwordHistoryCount } };
+  }
+
+  await this.updateOne({ _id: admin._id }, update);
+  await Session.revokeAllForUser(admin._id);
+
+  console.warn(
+    `The legacy admin account ${LEGACY_ADMIN_EMAIL} had no two-factor authentication; ` +
+    'it was demoted to a customer account and signed out. Create an admin with ADMIN_SETUP_TOKEN.'
+  );
+  return true;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -23,7 +23,38 @@ const {
   generateSalesReportPdf,
   generateCategorySalesReportPdf
 } = require('../controllers/adminController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const {
+  getRegistrationPolicy,
+  updateRegistrationPolicy
+} = require('../controllers/registrationPolicyController');
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const {
+  impersonateUser,
+  getImpersonations,
+  endImpersonation
+} = require('../controllers/impersonationController');
+const { protectWithApiKey, requirePermission } = require('../middlewares/authMiddleware');
+const { apiKeyLimiter } = require('../middlewares/rateLimiter');
 const advancedResults = require('../middlewares/advancedResults');
 const User = require('../models/User');
 const Product = require('../models/Product');
@@ -31,38 +62,69 @@ const Order = require('../models/Order');
 
 // Re-route into other resource routers
 
-// User routes
-router.use(protect);
-router.use(authorize('admin'));
+// Every admin route requires a staff permission (admins have all of them).
+// Partner integrations may call them with a scoped API key instead of a JWT.
+router.use(protectWithApiKey);
+router.use(apiKeyLimiter);
 
-router.get('/users', advancedResults(User), getUsers);
-router.get('/users/:id', getUser);
-router.post('/users', createUser);
-router.put('/users/:id', updateUser);
-router.delete('/users/:id', deleteUser);
-router.get('/users-list/pdf', generateUsersPdf);
+// User routes
+router.get('/users', requirePermission('users:read'), advancedResults(User), getUsers);
+router.get('/users/:id', requirePermission('users:read'), getUser);
+router.post('/users', requirePermission('users:manage'), createUser);
+router.put('/users/:id', requirePermission('users:manage'), updateUser);
+router.delete('/users/:id', requirePermission('users:manage'), deleteUser);
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), impersonateUser);
+router.get('/users-list/pdf', requirePermission('users:read', 'reports:read'), generateUsersPdf);
 
 // Product routes
-router.get('/products', advancedResults(Product), getProducts);
-router.post('/products', createProduct);
-router.post('/products/import', importProducts);
-router.put('/products/:id', updateProduct);
-router.delete('/products/:id', deleteProduct);
-router.delete('/products/:productId/reviews/:reviewId', deleteReviewAsAdmin);
-router.get('/products-list/pdf', generateProductsPdf);
-router.get('/sales-report/category/pdf', generateCategorySalesReportPdf);
+router.get('/products', requirePermission('products:read'), advancedResults(Product), getProducts);
+router.post('/products', requirePermission('products:write'), createProduct);
+router.post('/products/import', requirePermission('products:write'), importProducts);
+router.put('/products/:id', requirePermission('products:write'), updateProduct);
+router.delete('/products/:id', requirePermission('products:write'), deleteProduct);
+router.delete('/products/:productId/reviews/:reviewId', requirePermission('reviews:moderate'), deleteReviewAsAdmin);
+router.get('/products-list/pdf', requirePermission('reports:read'), generateProductsPdf);
+router.get('/sales-report/category/pdf', requirePermission('reports:read'), generateCategorySalesReportPdf);
+
+// Category routes
+router.get('/categories', requirePermission('products:read'), getCategories);
+router.get('/categories/:id', requirePermission('products:read'), getCategory);
+router.post('/categories', requirePermission('products:write'), createCategory);
+router.put('/categories/:id', requirePermission('products:write'), updateCategory);
+router.delete('/categories/:id', requirePermission('products:write'), deleteCategory);
 
 // Order routes
-router.get('/orders', advancedResults(Order), getOrders);
-router.get('/orders/:id', getOrder);
-router.put('/orders/:id', updateOrder);
-router.delete('/orders/:id', deleteOrder);
-router.get('/orders-list/pdf', generateOrdersPdf);
+router.get('/orders', requirePermission('orders:read'), advancedResults(Order), getOrders);
+router.get('/orders/:id', requirePermission('orders:read'), getOrder);
+router.put('/orders/:id', requirePermission('orders:update'), updateOrder);
+router.delete('/orders/:id', requirePermission('orders:delete'), deleteOrder);
+router.get('/orders-list/pdf', requirePermission('orders:read', 'reports:read'), generateOrdersPdf);
+
+router.get('/sales-report/pdf', requirePermission('reports:read'), generateSalesReportPdf);
+
+// Impersonation audit routes
+router.get('/impersonations', requirePermission('users:impersonate'), getImpersonations);
+router.delete('/impersonations/:id', requirePermission('users:impersonate'), endImpersonation);
+
+// Role routes
+router.get('/permissions', requirePermission('roles:manage'), getPermissions);
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+router.post('/roles', requirePermission('roles:manage'), createRole);
+router.put('/roles/:id', requirePermission('roles:manage'), updateRole);
+router.delete('/roles/:id', requirePermission('roles:manage'), deleteRole);
 
-router.get('/sales-report/pdf', generateSalesReportPdf);
+// API key routes
+router.get('/api-keys', requirePermission('apikeys:manage'), getApiKeys);
+router.post('/api-keys', requirePermission('apikeys:manage'), createApiKey);
+router.put('/api-keys/:id', requirePermission('apikeys:manage'), updateApiKey);
+router.post('/api-keys/:id/rotate', requirePermission('apikeys:manage'), rotateApiKey);
+router.delete('/api-keys/:id', requirePermission('apikeys:manage'), revokeApiKey);
 
+// Settings routes
+router.get('/registration-policy', requirePermission('settings:manage'), getRegistrationPolicy);
+router.put('/registration-policy', requirePermission('settings:manage'), updateRegistrationPolicy);
 
 // Dashboard stats
-router.get('/dashboard-stats', getDashboardStats);
+router.get('/dashboard-stats', requirePermission('reports:read'), getDashboardStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,20 +2,55 @@ const express = require('express');
 const router = express.Router();
 const {
   register,
+  convertGuestAccount,
   login,
+  requestMagicLink,
+  magicLinkLogin,
   adminLogin,
+  adminSetup,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
   getMe,
   googleAuth,
+  linkGoogleAccount,
   logout,
+  logoutAll,
+  getCsrfToken,
+  refreshToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
 } = require('../controllers/authController');
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, blockImpersonation } = require('../middlewares/authMiddleware');
 const { authLimiter } = require('../middlewares/rateLimiter');
+const { verifyRefreshCsrf } = require('../middlewares/csrfMiddleware');
 
 router.post('/register', authLimiter, register);
+router.post('/guest/convert/:token', authLimiter, convertGuestAccount);
 router.post('/login', authLimiter, login);
+router.post('/magic-link', authLimiter, requestMagicLink);
+router.post('/magic-link/:token', authLimiter, magicLinkLogin);
+router.post('/admin/setup', authLimiter, adminSetup);
 router.post('/admin/login', authLimiter, adminLogin);
+router.post('/admin/2fa/setup', authLimiter, setupTwoFactor);
+router.post('/admin/2fa/enable', authLimiter, enableTwoFactor);
+router.post('/admin/2fa/verify', authLimiter, verifyTwoFactor);
+router.post('/admin/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 router.get('/me', protect, getMe);
 router.post('/google', authLimiter, googleAuth);
-router.get('/logout', protect, logout);
+router.post('/google/link', authLimiter, linkGoogleAccount);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, blockImpersonation, logoutAll);
+router.post('/refresh', authLimiter, verifyRefreshCsrf, refreshToken);
+router.get('/csrf-token', protect, getCsrfToken);
+router.get('/verifyemail/:token', verifyEmail);
+router.post('/resendverification', authLimiter, protect, resendVerification);
+router.post('/forgotpassword', authLimiter, forgotPassword);
+router.put('/resetpassword/:token', authLimiter, resetPassword);
+router.get('/unlock/:token', authLimiter, unlockAccount);
 
 module.exports = router;
\ No newline at end of file
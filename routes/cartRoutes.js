@@ -6,10 +6,12 @@ const {
   updateCartItem,
   removeFromCart,
   clearCart,
+  claimGuestCart,
 } = require('../controllers/cartController');
-const { protect } = require('../middlewares/authMiddleware');
+const { optionalAuth } = require('../middlewares/authMiddleware');
 
-router.use(protect);
+// Guests shop with an anonymous cart token; signing in moves that cart to the account
+router.use(optionalAuth, claimGuestCart);
 
 router.get('/', getCart);
 router.post('/', addToCart);
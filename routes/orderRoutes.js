@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const {
   createOrder,
+  createGuestOrder,
+  lookupGuestOrder,
   getOrder,
   getMyOrders,
   updateOrderToDelivered,
@@ -10,17 +12,23 @@ const {
   getOrderTracking,
   handleShippingWebhook
 } = require('../controllers/orderController');
-const { protect, authorize } = require('../middlewares/authMiddleware');
+const { protect, requirePermission, requireVerifiedEmail, requireVerifiedPhone, blockImpersonation } = require('../middlewares/authMiddleware');
 const { verifyWebhook } = require('../middlewares/webhookMiddleware');
+const { authLimiter, guestOrderLimiter } = require('../middlewares/rateLimiter');
+
+// Guest checkout (no account needed)
+router.post('/guest', guestOrderLimiter, createGuestOrder);
+router.post('/guest/lookup', authLimiter, lookupGuestOrder);
 
 router.use(protect);
 
-router.post('/', createOrder);
+// Impersonating staff can't place orders or trigger refunds on the customer's behalf
+router.post('/', blockImpersonation, requireVerifiedEmail, requireVerifiedPhone, createOrder);
 router.get('/myorders', getMyOrders);
 router.get('/:id', getOrder);
 router.get('/:id/pdf', generateOrderPdf);
-router.put('/:id/deliver', authorize('admin'), updateOrderToDelivered);
-router.delete('/:id', cancelOrder);
+router.put('/:id/deliver', requirePermission('orders:update'), updateOrderToDelivered);
+router.delete('/:id', blockImpersonation, cancelOrder);
 router.get('/:id/tracking', getOrderTracking);
 router.post('/webhook/shipping', verifyWebhook,handleShippingWebhook);
 
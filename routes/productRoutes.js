@@ -9,16 +9,18 @@ const {
   deleteReview,
   compareProducts,
   searchProducts,
+  getSearchSuggestions,
   getSearchFilters
 } = require('../controllers/productController');
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, optionalAuth } = require('../middlewares/authMiddleware');
 const advancedResults = require('../middlewares/advancedResults');
 const Product = require('../models/Product');
 
 router.get('/', advancedResults(Product), getProducts);
 router.get('/search', searchProducts);
+router.get('/search/suggest', getSearchSuggestions);
 router.get('/search/filters', getSearchFilters);
-router.get('/:id', getProduct);
+router.get('/:id', optionalAuth, getProduct);
 router.post('/:id/reviews', protect, createProductReview);
 router.get('/:id/reviews', getProductReviews);
 router.put('/:productId/reviews/:reviewId', protect, updateProductReview);
@@ -3,16 +3,60 @@ const router = express.Router();
 const {
   getUserProfile,
   updateUserProfile,
+  requestEmailChange,
+  cancelEmailChange,
+  confirmEmailChange,
   updatePassword,
+  setPassword,
+  unlinkProvider,
   deleteUserAccount,
+  cancelAccountDeletion,
+  getMySessions,
+  revokeMySession,
+  getMyLoginHistory,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
 } = require('../controllers/userController');
-const { protect } = require('../middlewares/authMiddleware');
+const {
+  getChildren,
+  getChild,
+  addChild,
+  updateChild,
+  deleteChild,
+} = require('../controllers/childController');
+const { sendPhoneOtp, verifyPhoneOtp } = require('../controllers/phoneController');
+const { protect, blockImpersonation } = require('../middlewares/authMiddleware');
+const { otpLimiter } = require('../middlewares/rateLimiter');
+
+// Links in emails authenticate with their own signed token
+router.get('/exports/:token', downloadDataExport);
+router.get('/confirm-email/:token', confirmEmailChange);
 
 router.use(protect);
 
 router.get('/me', getUserProfile);
 router.put('/me', updateUserProfile);
-router.put('/updatepassword', updatePassword);
-router.delete('/me', deleteUserAccount);
+router.put('/me/email', blockImpersonation, requestEmailChange);
+router.delete('/me/email', cancelEmailChange);
+router.post('/me/phone/send-otp', otpLimiter, sendPhoneOtp);
+router.post('/me/phone/verify', otpLimiter, verifyPhoneOtp);
+router.put('/updatepassword', blockImpersonation, updatePassword);
+router.put('/setpassword', blockImpersonation, setPassword);
+router.delete('/me/providers/:provider', blockImpersonation, unlinkProvider);
+router.delete('/me', blockImpersonation, deleteUserAccount);
+router.post('/me/cancel-deletion', blockImpersonation, cancelAccountDeletion);
+router.get('/me/sessions', getMySessions);
+router.delete('/me/sessions/:id', blockImpersonation, revokeMySession);
+router.get('/me/login-history', getMyLoginHistory);
+router.route('/me/children')
+  .get(getChildren)
+  .post(addChild);
+router.route('/me/children/:childId')
+  .get(getChild)
+  .put(updateChild)
+  .delete(deleteChild);
+router.post('/me/export', blockImpersonation, requestDataExport);
+router.get('/me/export/:id', getDataExport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,116 @@
+const config = require('../config/config');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
+const sendEmail = require('./emailService');
+const { removeUserExports } = require('./dataExport');
+
+const REDACTED = 'REDACTED';
+
+// Strip personal data from the user's orders while keeping amounts, items and payment references
+const anonymizeOrders = async (userId) => {
+  const result = await Order.updateMany(
+    { user: userId },
+    {
+      $unset: { user: '' },
+      $set: {
+        anonymizedAt: Date.now(),
+        'shippingInfo.address': REDACTED,
+        'shippingInfo.pinCode': REDACTED,
+        'shippingInfo.phoneNo': REDACTED,
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+// Remove the user's reviews and recalculate the affected products' ratings
+const removeReviews = async (userId) => {
+  const products = await Product.find({ 'reviews.user': userId });
+
+  for (const product of products) {
+    product.reviews = product.reviews.filter(r => r.user.toString() !== userId.toString());
+    product.numOfReviews = product.reviews.length;
+    product.ratings = product.reviews.length > 0
+      ? product.reviews.reduce((acc, item) => item.rating + acc, 0) / product.reviews.length
+      : 0;
+
+    await product.save({ validateBeforeSave: false });
+  }
+
+  return products.length;
+};
+
+// Delete the wishlist and refresh wishlist counts of the products it held
+const removeWishlist = async (userId) => {
+  const wishlist = await Wishlist.findOneAndDelete({ user: userId });
+  if (!wishlist) return;
+
+  const productIds = [...new Set(wishlist.items.map(item => item.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  for (const product of products) {
+    await product.updateWishlistCount();
+  }
+};
+
+// Permanently delete an account: anonymize orders, clean up everything else, then remove the user
+exports.purgeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const { name, email } = user;
+
+  const anonymizedOrders = await anonymizeOrders(user._id);
+  const removedReviews = await removeReviews(user._id);
+  await removeWishlist(user._id);
+  await Cart.deleteOne({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await LoginHistory.deleteMany({ user: user._id });
+  await removeUserExports(user._id);
+  await User.deleteOne({ _id: user._id });
+
+  try {
+    await sendEmail({
+      email,
+      subject: 'DressUp - Your account has been deleted',
+      message: `
+        Dear ${name},
+
+        Your DressUp account and personal data have now been deleted. Records of past purchases are kept without your personal details, as required for accounting.
+
+        Thank you for shopping with us.
+
+        Warm regards,
+        The DressUp Team
+      `
+    });
+  } catch (err) {
+    console.error('Account deletion email failed:', err);
+  }
+
+  return { anonymizedOrders, removedReviews };
+};
+
+// Purge every account whose grace period has run out
+exports.processScheduledDeletions = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: Date.now() } }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await exports.purgeUser(_id);
+    } catch (err) {
+      console.error(`Scheduled deletion of user ${_id} failed:`, err);
+    }
+  }
+
+  return due.length;
+};
+
+exports.gracePeriodEnd = () =>
+  new Date(Date.now() + config.accountDeletionGraceDays * 24 * 60 * 60 * 1000);
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const DataExport = require('../models/DataExport');
+const sendEmail = require('./emailService');
+
+const EXPORT_DIR = path.join(__dirname, '../storage/exports');
+
+// Gather everything we hold about a user
+const collectUserData = async (userId) => {
+  const [user, orders, cart, wishlist, reviewedProducts] = await Promise.all([
+    User.findById(userId).lean(),
+    Order.find({ user: userId }).populate('orderItems.product', 'name').lean(),
+    Cart.findOne({ user: userId }).populate('items.product', 'name').lean(),
+    Wishlist.findOne({ user: userId }).populate('items.product', 'name').lean(),
+    Product.find({ 'reviews.user': userId }).select('name reviews').lean(),
+  ]);
+
+  const { addresses, ...profile } = user;
+
+  const reviews = reviewedProducts.flatMap(product =>
+    product.reviews
+      .filter(r => r.user.toString() === userId.toString())
+      .map(r => ({
+        product: { _id: product._id, name: product.name },
+        rating: r.rating,
+        comment: r.comment,
+        createdAt: r.createdAt,
+      }))
+  );
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    addresses: addresses || [],
+    orders,
+    reviews,
+    wishlist: wishlist ? wishlist.items : [],
+    cart: cart ? { items: cart.items, totalPrice: cart.totalPrice } : { items: [], totalPrice: 0 },
+  };
+};
+
+// Readable PDF summary of the export
+const writePdf = (data, filePath) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  const logoPath = path.join(__dirname, '../public/images/logo.png');
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 50, 50, { width: 80, height: 40, fit: [80, 40] });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#333333').text('DressUp', 140, 55);
+  doc.font('Helvetica').fontSize(10).fillColor('#666666').text('elevate your style', 140, 80);
+
+  doc.font('Helvetica-Bold')
+    .fontSize(16)
+    .fillColor('#2c3e50')
+    .text('Your Personal Data', 50, 120, { align: 'center', width: 495 });
+
+  doc.font('Helvetica')
+    .fontSize(9)
+    .fillColor('#666666')
+    .text(`Generated on: ${data.exportedAt.toLocaleString()}`, { align: 'center', width: 495 });
+
+  const section = (title) => {
+    doc.moveDown(1.5)
+      .font('Helvetica-Bold')
+      .fontSize(13)
+      .fillColor('#2c3e50')
+      .text(title, 50)
+      .moveDown(0.3)
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor('#444444');
+  };
+
+  const { profile } = data;
+  section('Profile');
+  doc.text(`Name: ${profile.name}`)
+    .text(`Email: ${profile.email}`)
+    .text(`Phone: ${profile.phone || '-'}`)
+    .text(`Email verified: ${profile.isVerified ? 'Yes' : 'No'}`)
+    .text(`Member since: ${new Date(profile.createdAt).toLocaleDateString()}`);
+
+  section(`Addresses (${data.addresses.length})`);
+  data.addresses.forEach(a => {
+    doc.text(`${a.tag || a.addressType}: ${a.street}, ${a.city}, ${a.state} ${a.zip}, ${a.country} (${a.phone || '-'})`);
+  });
+
+  const children = profile.children || [];
+  section(`Child profiles (${children.length})`);
+  children.forEach(c => {
+    const measurements = ['height', 'weight', 'chest', 'waist']
+      .filter(m => c[m])
+      .map(m => `${m} ${c[m]}${m === 'weight' ? ' kg' : ' cm'}`)
+      .join(', ');
+    doc.text(`${c.name}, born ${new Date(c.birthDate).toLocaleDateString()}${measurements ? ` - ${measurements}` : ''} (${c.preferredFit} fit)`);
+  });
+
+  section(`Orders (${data.orders.length})`);
+  data.orders.forEach(order => {
+    doc.font('Helvetica-Bold')
+      .text(`#${order._id} - ${new Date(order.createdAt).toLocaleDateString()} - ${order.orderStatus} - $${order.totalPrice.toFixed(2)}`)
+      .font('Helvetica');
+    order.orderItems.forEach(item => {
+      doc.text(`   ${item.quantity} x ${item.product ? item.product.name : 'Removed product'} (${item.size}) @ $${item.price.toFixed(2)}`);
+    });
+  });
+
+  section(`Reviews (${data.reviews.length})`);
+  data.reviews.forEach(r => {
+    doc.text(`${r.product.name}: ${r.rating}/5 - "${r.comment}"`);
+  });
+
+  section(`Wishlist (${data.wishlist.length})`);
+  data.wishlist.forEach(item => {
+    doc.text(`${item.product ? item.product.name : 'Removed product'}${item.size ? ` (${item.size})` : ''}`);
+  });
+
+  section(`Cart (${data.cart.items.length})`);
+  data.cart.items.forEach(item => {
+    doc.text(`${item.quantity} x ${item.product ? item.product.name : 'Removed product'} (${item.size}) @ $${item.price.toFixed(2)}`);
+  });
+
+  doc.moveDown(2)
+    .fontSize(8)
+    .fillColor('#999999')
+    .text('The attached JSON file contains the complete, machine-readable version of this data.', { align: 'center', width: 495 });
+
+  doc.end();
+});
+
+// Signed, expiring token for downloading one export
+exports.getDownloadToken = (dataExport) =>
+  jwt.sign({ id: dataExport._id, purpose: 'data-export' }, config.jwtSecret, {
+    expiresIn: Math.max(1, Math.floor((dataExport.expiresAt - Date.now()) / 1000)),
+  });
+
+exports.verifyDownloadToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    return decoded.purpose === 'data-export' ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Build the JSON archive and PDF for an export request, then email the download links
+exports.generateExport = async (exportId, baseUrl) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport) return;
+
+  let data;
+  try {
+    data = await collectUserData(dataExport.user);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const jsonPath = path.join(EXPORT_DIR, `${dataExport._id}.json`);
+    const pdfPath = path.join(EXPORT_DIR, `${dataExport._id}.pdf`);
+
+    await fs.promises.writeFile(jsonPath, JSON.stringify(data, null, 2));
+    await writePdf(data, pdfPath);
+
+    dataExport.jsonPath = jsonPath;
+    dataExport.pdfPath = pdfPath;
+    dataExport.status = 'ready';
+    dataExport.completedAt = Date.now();
+    dataExport.expiresAt = Date.now() + config.dataExportExpireHours * 60 * 60 * 1000;
+    await dataExport.save();
+  } catch (err) {
+    console.error(`Data export ${exportId} failed:`, err);
+    dataExport.status = 'failed';
+    dataExport.error = err.message;
+    await dataExport.save();
+    return;
+  }
+
+  // The export stays downloadable from its status page if the email doesn't go out
+  const token = exports.getDownloadToken(dataExport);
+  const downloadUrl = `${baseUrl}/api/v1/users/exports/${token}`;
+
+  try {
+    await sendEmail({
+      email: data.profile.email,
+      subject: 'DressUp - Your data export is ready',
+      message: `
+        Dear ${data.profile.name},
+
+        The copy of your personal data you requested is ready:
+
+        - Full archive (JSON): ${downloadUrl}?format=json
+        - Readable summary (PDF): ${downloadUrl}?format=pdf
+
+        These links expire in ${config.dataExportExpireHours} hours.
+
+        Warm regards,
+        The DressUp Team
+      `
+    });
+  } catch (err) {
+    console.error(`Data export ${exportId} is ready but the email could not be sent:`, err.message);
+  }
+};
+
+// Mark exports that have been pending for too long as failed, so they no longer
+// block new requests (generation runs in-process and is lost on a restart)
+exports.failStaleExports = (filter = {}) =>
+  DataExport.updateMany(
+    {
+      ...filter,
+      status: 'pending',
+      createdAt: { $lte: Date.now() - config.dataExportPendingTimeoutMinutes * 60 * 1000 },
+    },
+    { $set: { status: 'failed', error: 'The export was interrupted' } }
+  );
+
+const removeExports = async (filter) => {
+  const exportsToRemove = await DataExport.find(filter).select('+jsonPath +pdfPath');
+
+  for (const dataExport of exportsToRemove) {
+    for (const filePath of [dataExport.jsonPath, dataExport.pdfPath]) {
+      if (filePath) await fs.promises.rm(filePath, { force: true });
+    }
+    await dataExport.deleteOne();
+  }
+
+  return exportsToRemove.length;
+};
+
+// Remove export files and records whose links have expired, and fail interrupted ones
+exports.cleanupExpiredExports = async () => {
+  await exports.failStaleExports();
+  return removeExports({ expiresAt: { $lte: Date.now() } });
+};
+
+// Remove every export belonging to a user (used when the account is purged)
+exports.removeUserExports = (userId) => removeExports({ user: userId });
@@ -1,10 +1,18 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, config.jwtSecret, {
-    expiresIn: config.tokenExpiration,
+// Short-lived access token bound to a server-side session.
+// Impersonation tokens carry the staff member's id in `imp` and their own expiry.
+const generateToken = (id, sessionId, options = {}) => {
+  const payload = { id, sid: sessionId };
+
+  if (options.impersonatedBy) {
+    payload.imp = options.impersonatedBy;
+  }
+
+  return jwt.sign(payload, config.jwtSecret, {
+    expiresIn: options.expiresIn || config.accessTokenExpire,
   });
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
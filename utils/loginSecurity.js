@@ -0,0 +1,161 @@
+const sendEmail = require('./emailService');
+const config = require('../config/config');
+
+// Fields needed by the helpers below (they are not selected by default)
+exports.LOGIN_SECURITY_FIELDS =
+  '+failedLoginAttempts +lockCount +lockUntil +unlockToken +unlockTokenExpire +knownDevices';
+
+// Coarse network "location": the /24 for IPv4, the /64 for IPv6
+const networkOf = (ip = '') => {
+  const address = ip.replace(/^::ffff:/, '');
+
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).join('.') + '.0/24';
+  }
+
+  return address.split(':').slice(0, 4).join(':') + '::/64';
+};
+
+// Describe the device making the request from the express-useragent data
+const describeDevice = (req) => {
+  const ua = req.useragent || {};
+  const browser = ua.browser || 'unknown';
+  const os = ua.os || 'unknown';
+  const platform = ua.platform || 'unknown';
+
+  return {
+    fingerprint: `${browser}|${os}|${platform}`,
+    browser,
+    os,
+    platform,
+    network: networkOf(req.ip),
+  };
+};
+
+exports.describeDevice = describeDevice;
+
+// Record a failed password attempt and email an unlock link if it locked the account
+exports.handleFailedLogin = async (user, req) => {
+  const locked = user.registerFailedLogin();
+  let unlockToken;
+
+  if (locked) {
+    unlockToken = user.getUnlockToken();
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  if (!locked) return;
+
+  const unlockUrl = `${req.protocol}://${req.get('host')}/api/v1/auth/unlock/${unlockToken}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'DressUp - Your account has been temporarily locked',
+      message: `
+        Dear ${user.name},
+
+        We locked your DressUp account after several failed sign-in attempts. It will unlock automatically at ${user.lockUntil.toLocaleString()}.
+
+        If this was you, you can unlock it right away:
+
+        ${unlockUrl}
+
+        If it wasn't you, someone may be trying to guess your password. We recommend resetting it once the account is unlocked.
+
+        Warm regards,
+        The DressUp Team
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #2c3e50;">Account temporarily locked</h1>
+          <p style="font-size: 16px;">Dear ${user.name},</p>
+          <p>We locked your DressUp account after several failed sign-in attempts. It will unlock automatically at <strong>${user.lockUntil.toLocaleString()}</strong>.</p>
+
+          <div style="margin-top: 30px;">
+            <a href="${unlockUrl}"
+               style="background-color: #2c3e50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">
+              Unlock My Account
+            </a>
+          </div>
+
+          <p style="margin-top: 30px;">If it wasn't you, someone may be trying to guess your password. We recommend resetting it once the account is unlocked.</p>
+
+          <p>Warm regards,<br>The DressUp Team</p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('Account lock email failed:', err);
+  }
+};
+
+// Clear failed attempts, remember the device and warn the user about unfamiliar sign-ins
+exports.handleSuccessfulLogin = async (user, req) => {
+  const device = describeDevice(req);
+  const knownDevices = user.knownDevices || [];
+
+  const known = knownDevices.find(
+    d => d.fingerprint === device.fingerprint && d.network === device.network
+  );
+
+  // The very first login has nothing to compare against
+  const suspicious = !known && knownDevices.length > 0;
+
+  user.clearLoginLock();
+
+  if (known) {
+    known.lastSeenAt = Date.now();
+  } else {
+    knownDevices.push({ ...device, lastSeenAt: Date.now() });
+    knownDevices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    user.knownDevices = knownDevices.slice(0, config.maxKnownDevices);
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  if (!suspicious) return;
+
+  const when = new Date().toLocaleString();
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'DressUp - New sign-in to your account',
+      message: `
+        Dear ${user.name},
+
+        Your DressUp account was just signed in to from a device or location we haven't seen before:
+
+        - Browser: ${device.browser}
+        - Operating system: ${device.os}
+        - IP address: ${req.ip}
+        - Time: ${when}
+
+        If this was you, no action is needed. If not, please reset your password and sign out of all devices.
+
+        Warm regards,
+        The DressUp Team
+      `,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #2c3e50;">New sign-in to your account</h1>
+          <p style="font-size: 16px;">Dear ${user.name},</p>
+          <p>Your DressUp account was just signed in to from a device or location we haven't seen before:</p>
+          <ul>
+            <li><strong>Browser:</strong> ${device.browser}</li>
+            <li><strong>Operating system:</strong> ${device.os}</li>
+            <li><strong>IP address:</strong> ${req.ip}</li>
+            <li><strong>Time:</strong> ${when}</li>
+          </ul>
+          <p>If this was you, no action is needed. If not, please reset your password and sign out of all devices.</p>
+
+          <p>Warm regards,<br>The DressUp Team</p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('New sign-in email failed:', err);
+  }
+};
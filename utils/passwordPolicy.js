@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+let breachedPasswords;
+
+// Load the bundled list once (or BREACHED_PASSWORDS_FILE when set)
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    const file = process.env.BREACHED_PASSWORDS_FILE ||
+      path.join(__dirname, '../config/breachedPasswords.txt');
+
+    breachedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords;
+};
+
+// Structural rules shared by the User schema and every password form.
+// Returns an error message or null.
+const checkPasswordRules = (password) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return 'Please provide a password';
+  }
+
+  if (/\s/.test(password)) {
+    return 'Password cannot contain spaces';
+  }
+
+  if (password.length < config.passwordMinLength) {
+    return `Password must be at least ${config.passwordMinLength} characters long`;
+  }
+
+  // bcrypt ignores everything after 72 bytes
+  if (Buffer.byteLength(password) > 72) {
+    return 'Password cannot be longer than 72 characters';
+  }
+
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password) || !/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character';
+  }
+
+  return null;
+};
+
+const isBreachedPassword = (password) => getBreachedPasswords().has(password.toLowerCase());
+
+// Compare against the current password and the stored history of previous ones
+const isReusedPassword = async (userId, password) => {
+  const user = await mongoose.model('User')
+    .findById(userId)
+    .select('+password +passwordHistory');
+
+  if (!user) return false;
+
+  const previous = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+  for (const hash of previous) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Full policy check for a new password. Pass the user when changing an existing
+// account's password so recent passwords can't be reused.
+// Resolves to an error message or null.
+const validatePassword = async (password, user) => {
+  const ruleError = checkPasswordRules(password);
+  if (ruleError) return ruleError;
+
+  if (isBreachedPassword(password)) {
+    return 'This password is too common or has appeared in a data breach. Please choose another';
+  }
+
+  if (user && !user.isNew && await isReusedPassword(user._id, password)) {
+    return `Please choose a password different from your last ${config.passwordHistoryCount} passwords`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  checkPasswordRules,
+  isBreachedPassword,
+  validatePassword,
+};
@@ -0,0 +1,204 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchQuery = require('../models/SearchQuery');
+const config = require('../config/config');
+
+// Words shorter than this are never treated as typos
+const MIN_CORRECTION_LENGTH = 4;
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+let colors = null;
+let colorsLoadedAt = 0;
+
+// Lowercase words and numbers in a search string
+const tokenize = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Edit distance between two words, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Every word used in product names, descriptions, colors and categories (cached)
+const loadVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < config.searchVocabularyCacheSeconds * 1000) {
+    return vocabulary;
+  }
+
+  const fields = await Promise.all([
+    Product.distinct('name'),
+    Product.distinct('description'),
+    Product.distinct('color'),
+    Product.distinct('variants.color'),
+    Product.distinct('category'),
+  ]);
+
+  vocabulary = [...new Set(fields.flat().filter(Boolean).flatMap(tokenize))].sort();
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+};
+
+// Escape text for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Product and variant colors (cached)
+const loadColors = async () => {
+  if (colors && Date.now() - colorsLoadedAt < config.searchVocabularyCacheSeconds * 1000) {
+    return colors;
+  }
+
+  const [productColors, variantColors] = await Promise.all([
+    Product.distinct('color'),
+    Product.distinct('variants.color'),
+  ]);
+
+  const byKey = new Map();
+  [...productColors, ...variantColors].filter(Boolean).forEach(color => {
+    const key = color.trim().toLowerCase();
+    if (key && !byKey.has(key)) byKey.set(key, color.trim());
+  });
+
+  colors = [...byKey.entries()].sort(([a], [b]) => a.localeCompare(b));
+  colorsLoadedAt = Date.now();
+  return colors;
+};
+
+exports.escapeRegex = escapeRegex;
+
+// Replace words that don't appear in the catalogue with the closest word that does
+// (one typo for short words, two for longer ones). Returns the corrected search
+// string, or null when there is nothing to correct.
+exports.correctQuery = async (keyword) => {
+  const words = await loadVocabulary();
+  const known = new Set(words);
+  let corrected = false;
+
+  const terms = tokenize(keyword).map(term => {
+    if (known.has(term) || term.length < MIN_CORRECTION_LENGTH || /^\d+$/.test(term)) {
+      return term;
+    }
+
+    const maxDistance = term.length <= 5 ? 1 : 2;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    for (const word of words) {
+      const distance = editDistance(term, word, maxDistance);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+
+    if (!best) return term;
+    corrected = true;
+    return best;
+  });
+
+  return corrected ? terms.join(' ') : null;
+};
+
+// Aggregation stage adding a `relevance` field: the text score, boosted for
+// products in stock and for highly rated products
+exports.relevanceStage = () => {
+  const { inStock, rating } = config.searchBoosts;
+
+  return {
+    $addFields: {
+      relevance: {
+        $multiply: [
+          { $meta: 'textScore' },
+          {
+            $add: [
+              1,
+              { $cond: [{ $gt: ['$stock', 0] }, inStock, 0] },
+              { $multiply: [{ $divide: [{ $ifNull: ['$ratings', 0] }, 5] }, rating] }
+            ]
+          }
+        ]
+      }
+    }
+  };
+};
+
+// Suggestions for a partly typed query: product names whose words start with the
+// typed words (the last one may be incomplete), active categories, colors and
+// popular past searches starting with it
+exports.suggest = async (text, limit) => {
+  const prefix = SearchQuery.normalize(text);
+  const words = tokenize(prefix);
+  if (words.length === 0) {
+    return { products: [], categories: [], colors: [], queries: [] };
+  }
+
+  const lastWord = words[words.length - 1];
+  const categoryPrefix = words.join('-');
+
+  const [products, categories, colorList, queries] = await Promise.all([
+    Product.find({
+      searchTokens: {
+        $all: [...words.slice(0, -1), new RegExp(`^${escapeRegex(lastWord)}`)]
+      }
+    })
+      .select('name images')
+      .sort('-wishlistCount -ratings')
+      .limit(limit)
+      .lean(),
+    Category.find({
+      isActive: true,
+      slug: { $regex: `^${escapeRegex(categoryPrefix)}` }
+    })
+      .select('name slug')
+      .sort('sortOrder name')
+      .limit(limit)
+      .lean(),
+    loadColors(),
+    SearchQuery.find({
+      query: { $regex: `^${escapeRegex(prefix)}` },
+      clientCount: { $gte: config.searchSuggestMinCount }
+    })
+      .select('query clientCount')
+      .sort('-clientCount')
+      .limit(limit)
+      .lean(),
+  ]);
+
+  return {
+    products: products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      image: product.images?.[0]?.url || null
+    })),
+    categories: categories.map(category => ({ slug: category.slug, name: category.name })),
+    colors: colorList
+      .filter(([key]) => key.startsWith(prefix))
+      .slice(0, limit)
+      .map(([, color]) => color),
+    queries: queries.map(q => q.query),
+  };
+};
+
+// Count a keyword search that found products, once per client IP for the
+// suggestions (failures are only logged)
+exports.recordSearch = (keyword, req) =>
+  Promise.resolve(SearchQuery.record(keyword, req.ip)).catch(err =>
+    console.error('Failed to record search query:', err.message)
+  );
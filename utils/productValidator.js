@@ -0,0 +1,56 @@
+// Check a product's variants; returns a list of error messages (empty when valid)
+exports.checkVariants = (variants) => {
+  if (!Array.isArray(variants) || variants.length === 0 || variants.length > 100) {
+    return ['Please provide 1 to 100 variants'];
+  }
+
+  const errors = [];
+  const combinations = new Set();
+  const skus = new Set();
+
+  variants.forEach((variant, index) => {
+    const prefix = `Variant ${index + 1}: `;
+    const { size, color, sku, barcode, stock, price } = variant || {};
+
+    if (typeof size !== 'string' || size.trim().length < 1 || size.length > 10) {
+      errors.push(`${prefix}Size must be 1 to 10 characters`);
+    }
+
+    if (color !== undefined && (typeof color !== 'string' || color.length < 2 || color.length > 30)) {
+      errors.push(`${prefix}Color must be between 2 and 30 characters`);
+    }
+
+    if (typeof sku !== 'string' || !/^[A-Za-z0-9-_]{3,40}$/.test(sku.trim())) {
+      errors.push(`${prefix}SKU must be 3 to 40 letters, digits, dashes or underscores`);
+    } else if (skus.has(sku.trim().toUpperCase())) {
+      errors.push(`${prefix}Duplicate SKU ${sku}`);
+    } else {
+      skus.add(sku.trim().toUpperCase());
+    }
+
+    if (barcode !== undefined && (typeof barcode !== 'string' || !/^\d{8,14}$/.test(barcode))) {
+      errors.push(`${prefix}Barcode must be 8 to 14 digits`);
+    }
+
+    if (!Number.isInteger(stock) || stock < 0 || stock > 100) {
+      errors.push(`${prefix}Stock must be a whole number between 0 and 100`);
+    }
+
+    if (price !== undefined && (typeof price !== 'number' || price <= 0 || price > 99999.99)) {
+      errors.push(`${prefix}Price must be between 0.01 and 99,999.99`);
+    }
+
+    const combination = `${size}|${(color || '').toLowerCase()}`;
+    if (combinations.has(combination)) {
+      errors.push(`${prefix}Size ${size}${color ? ` / ${color}` : ''} is already listed`);
+    } else {
+      combinations.add(combination);
+    }
+  });
+
+  return errors;
+};
+
+// Upper-cased SKUs of the variants, as stored on the product
+exports.variantSkus = (variants = []) =>
+  variants.filter(v => v && typeof v.sku === 'string').map(v => v.sku.trim().toUpperCase());
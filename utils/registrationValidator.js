@@ -0,0 +1,122 @@
+const emailValidator = require('email-validator');
+const RegistrationPolicy = require('../models/RegistrationPolicy');
+
+// Regex set and description for each character class a name may contain
+const NAME_CHARACTERS = {
+  letters: ['A-Za-z', 'letters'],
+  accentedLetters: ['\\p{L}\\p{M}', 'letters (including accented)'],
+  spaces: [' ', 'spaces'],
+  hyphens: ['\\-', 'hyphens'],
+  apostrophes: ["'\u2019", 'apostrophes'],
+  periods: ['.', 'periods'],
+  digits: ['0-9', 'digits'],
+};
+
+exports.NAME_CHARACTER_FIELDS = Object.keys(NAME_CHARACTERS);
+
+// Check a name against the policy's name rules; returns an error message or null
+const checkName = (name, rules) => {
+  const allowed = Object.keys(NAME_CHARACTERS).filter(key => rules.allowedCharacters[key]);
+  const pattern = new RegExp(`^[${allowed.map(key => NAME_CHARACTERS[key][0]).join('')}]+$`, 'u');
+
+  if (!name || !pattern.test(name)) {
+    const names = allowed.map(key => NAME_CHARACTERS[key][1]);
+    const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+    return `Name must contain only ${list}.`;
+  }
+
+  if (name.length < rules.minLength) {
+    return `Name must be at least ${rules.minLength} characters long.`;
+  }
+
+  if (name.length > rules.maxLength) {
+    return `Name cannot be longer than ${rules.maxLength} characters.`;
+  }
+
+  if (rules.maxRepeatedChars > 0) {
+    const repeatedCharRegex = new RegExp(`(.)\\1{${rules.maxRepeatedChars},}`);
+    if (repeatedCharRegex.test(name.replace(/\s/g, ''))) {
+      return "Name cannot have repetitive characters like 'aaa' or 'sss'.";
+    }
+  }
+
+  return null;
+};
+
+// Check an email against the policy's email rules; returns an error message or null
+const checkEmail = (email, rules) => {
+  if (!email || !emailValidator.validate(email)) {
+    return 'Please enter a valid email address.';
+  }
+
+  const emailParts = email.split('@');
+  if (emailParts.length !== 2) {
+    return 'Invalid email format.';
+  }
+
+  const emailDomain = emailParts[1];
+  const domainParts = emailDomain.split('.');
+  const tld = domainParts[domainParts.length - 1];
+
+  // Matches the domain itself or any of its subdomains
+  const matchesDomain = (list) =>
+    list.some(d => emailDomain === d || emailDomain.endsWith(`.${d}`));
+
+  if (rules.allowedTLDs.length > 0 && !rules.allowedTLDs.includes(tld)) {
+    return `Unsupported email TLD '.${tld}'`;
+  }
+
+  if (rules.blockedSubstrings.some(sub => email.includes(sub))) {
+    return `Email format not allowed (e.g., ${rules.blockedSubstrings.map(sub => `'${sub}'`).join(', ')}).`;
+  }
+
+  if (matchesDomain(rules.blockedDomains)) {
+    return `Email domain '${emailDomain}' is not allowed.`;
+  }
+
+  if (rules.blockDisposable && matchesDomain(rules.disposableDomains)) {
+    return 'Disposable email addresses are not allowed.';
+  }
+
+  if (rules.restrictToAllowedDomains && !rules.allowedDomains.includes(emailDomain)) {
+    return `Email domain '${emailDomain}' is not allowed.`;
+  }
+
+  if (email.includes('--') || /\d-\d/.test(email)) {
+    return 'Email format not allowed.';
+  }
+
+  return null;
+};
+
+// Validate a new account's name and email against the registration policy.
+// Pass `checkName: false` when the name comes from a trusted provider (e.g. Google).
+// Resolves to { error, name, email } with trimmed values.
+exports.validateRegistration = async ({ name, email }, { checkName: shouldCheckName = true } = {}) => {
+  const policy = await RegistrationPolicy.getPolicy();
+
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  const trimmedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+  const error =
+    (shouldCheckName && checkName(trimmedName, policy.nameRules)) ||
+    checkEmail(trimmedEmail, policy.emailRules);
+
+  return {
+    error,
+    name: trimmedName,
+    email: trimmedEmail,
+  };
+};
+
+// Validate a changed display name against the registration policy's name rules.
+// Resolves to { error, name } with the trimmed name.
+exports.validateName = async (name) => {
+  const policy = await RegistrationPolicy.getPolicy();
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  return {
+    error: checkName(trimmedName, policy.nameRules),
+    name: trimmedName,
+  };
+};
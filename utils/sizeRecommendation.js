@@ -0,0 +1,69 @@
+const SIZE_CHARTS = require('../config/sizeCharts');
+const Category = require('../models/Category');
+
+const ageInYears = (birthDate, now = new Date()) => {
+  const birth = new Date(birthDate);
+  let age = now.getFullYear() - birth.getFullYear();
+  const beforeBirthday =
+    now.getMonth() < birth.getMonth() ||
+    (now.getMonth() === birth.getMonth() && now.getDate() < birth.getDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+// Index of the smallest chart row whose range still fits the value
+const rowFor = (chart, measurement, value) => {
+  const index = chart.findIndex(row => value <= row[measurement][1]);
+  return index === -1 ? chart.length - 1 : index;
+};
+
+// Size chart for a category, falling back to the nearest parent category that
+// has one. Returns undefined when none does.
+const sizeChartFor = async (categorySlug) => {
+  const categories = await Category.ancestors(categorySlug);
+  const withChart = categories.find(c => c.sizeChart && SIZE_CHARTS[c.sizeChart]);
+  return withChart && SIZE_CHARTS[withChart.sizeChart];
+};
+
+// Recommend a size from a product's own sizes for one child
+const recommendSize = (product, sizeChart, child) => {
+  const { chart, keyMeasurement } = sizeChart;
+
+  // A garment has to fit the child's largest dimension, so take the biggest row any
+  // measurement points to; age is only used when nothing has been measured
+  const basedOn = [keyMeasurement, 'height', 'weight'].filter(m => child[m]);
+  let index = basedOn.length > 0
+    ? Math.max(...basedOn.map(m => rowFor(chart, m, child[m])))
+    : rowFor(chart, 'age', ageInYears(child.birthDate));
+
+  if (basedOn.length === 0) basedOn.push('age');
+
+  if (child.preferredFit === 'relaxed') {
+    index = Math.min(index + 1, chart.length - 1);
+  }
+
+  // Use the first size the product actually comes in, sizing up if needed
+  for (let i = index; i < chart.length; i += 1) {
+    const label = chart[i].labels.find(l => product.size.includes(l));
+    if (label) {
+      return { recommendedSize: label, available: true, sizedUp: i > index, basedOn };
+    }
+  }
+
+  return { recommendedSize: chart[index].labels[0], available: false, sizedUp: false, basedOn };
+};
+
+// Size recommendations for every child profile of a user.
+// Empty when the product's category (and its parents) have no size chart.
+exports.recommendSizes = async (product, children = []) => {
+  if (children.length === 0) return [];
+
+  const sizeChart = await sizeChartFor(product.category);
+  if (!sizeChart) return [];
+
+  return children.map(child => ({
+    child: { _id: child._id, name: child.name },
+    ...recommendSize(product, sizeChart, child),
+  }));
+};
+
+exports.ageInYears = ageInYears;
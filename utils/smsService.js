@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS providers share one interface: `send({ to, message })` returning a promise.
+// Pick one with SMS_PROVIDER; 'console' and 'file' are stand-ins for development.
+const providers = {
+  // Print the message to the server log
+  console: {
+    send: async ({ to, message }) => {
+      console.log(`[SMS to ${to}] ${message}`);
+    },
+  },
+
+  // Append the message to a local log file (SMS_LOG_FILE, default storage/sms.log)
+  file: {
+    send: async ({ to, message }) => {
+      const logFile = process.env.SMS_LOG_FILE || path.join(__dirname, '../storage/sms.log');
+      await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+      await fs.promises.appendFile(
+        logFile,
+        `${new Date().toISOString()}\t${to}\t${message}\n`
+      );
+    },
+  },
+
+  // Twilio's REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+  twilio: {
+    send: async ({ to, message }) => {
+      const sid = process.env.TWILIO_ACCOUNT_SID;
+      const auth = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: message }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Twilio responded with ${response.status}`);
+      }
+    },
+  },
+};
+
+// Add or replace a provider, e.g. registerSmsProvider('acme', { send: async ({ to, message }) => {} })
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider '${name}' must implement send({ to, message })`);
+  }
+  providers[name] = provider;
+};
+
+// Providers that only log messages locally
+const DEVELOPMENT_PROVIDERS = ['console', 'file'];
+
+const sendSms = async (options) => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider '${name}'`);
+  }
+
+  // In production a stand-in would write codes to the logs while reporting them as sent
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_PROVIDERS.includes(name)) {
+    console.error(`SMS not sent: set SMS_PROVIDER to a real provider ('${name}' is for development only)`);
+    throw new Error('No SMS provider is configured');
+  }
+
+  try {
+    await provider.send(options);
+  } catch (error) {
+    console.error('Error sending SMS:', error);
+    throw new Error('SMS could not be sent');
+  }
+};
+
+module.exports = sendSms;
+module.exports.registerSmsProvider = registerSmsProvider;
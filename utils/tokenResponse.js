@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const Session = require('../models/Session');
+const LoginHistory = require('../models/LoginHistory');
+const generateToken = require('./generateToken');
+
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+const cookieOptions = (expires, extra = {}) => {
+  const options = {
+    expires,
+    httpOnly: true,
+    sameSite: 'lax',
+    ...extra,
+  };
+
+  if (process.env.NODE_ENV === 'production') {
+    options.secure = true;
+  }
+
+  return options;
+};
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000);
+
+const newRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+// Issue a double-submit CSRF token: readable by the storefront's JS, echoed back
+// in the X-CSRF-Token header on state-changing requests
+const setCsrfCookie = (res, expires) => {
+  const csrfToken = crypto.randomBytes(24).toString('hex');
+  res.cookie('csrfToken', csrfToken, cookieOptions(expires, { httpOnly: false }));
+  return csrfToken;
+};
+
+exports.setCsrfCookie = setCsrfCookie;
+
+// Write the access/refresh token pair to cookies and the JSON body
+const writeTokens = (res, statusCode, accessToken, refreshToken, expiresAt, body = {}) => {
+  const csrfToken = setCsrfCookie(res, expiresAt);
+
+  res
+    .status(statusCode)
+    .cookie(
+      'token',
+      accessToken,
+      cookieOptions(new Date(Date.now() + config.accessTokenCookieMinutes * 60 * 1000))
+    )
+    .cookie(
+      'refreshToken',
+      refreshToken,
+      cookieOptions(expiresAt, { path: REFRESH_COOKIE_PATH })
+    )
+    .json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpires: expiresAt,
+      csrfToken,
+      ...body,
+    });
+};
+
+// Start a new session for the user, record the login and send the token pair.
+// `sessionOptions.authMethod` is stored in the login history (defaults to 'password')
+// and `sessionOptions.body` is merged into the JSON response.
+exports.sendTokenResponse = async (user, statusCode, req, res, sessionOptions = {}) => {
+  const refreshToken = newRefreshToken();
+  const ua = req.useragent || {};
+  const device = {
+    browser: ua.browser,
+    os: ua.os,
+    platform: ua.platform,
+    isMobile: ua.isMobile,
+    ip: req.ip,
+  };
+  const authMethod = sessionOptions.authMethod || 'password';
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    ...device,
+    authMethod,
+    expiresAt: refreshTokenExpiry(),
+    twoFactorVerified: Boolean(sessionOptions.twoFactorVerified),
+  });
+
+  await LoginHistory.create({
+    user: user._id,
+    session: session._id,
+    authMethod,
+    ...device,
+  });
+
+  const token = generateToken(user._id, session._id);
+
+  writeTokens(res, statusCode, token, refreshToken, session.expiresAt, sessionOptions.body);
+};
+
+// Replace the refresh token of an existing session and send the new pair
+exports.rotateSessionTokens = async (session, req, res) => {
+  const refreshToken = newRefreshToken();
+
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = Session.hashToken(refreshToken);
+  session.lastUsedAt = Date.now();
+  session.ip = req.ip;
+  session.expiresAt = refreshTokenExpiry();
+  await session.save();
+
+  const token = generateToken(session.user, session._id);
+
+  writeTokens(res, 200, token, refreshToken, session.expiresAt);
+};
+
+// Remember which device asked for a magic sign-in link; the link only works
+// when opened with this cookie present (or the matching deviceId)
+exports.setMagicLinkDeviceCookie = (res, deviceSecret) => {
+  const expires = new Date(Date.now() + config.magicLinkExpireMinutes * 60 * 1000);
+  res.cookie('magicLinkDevice', deviceSecret, cookieOptions(expires, { path: REFRESH_COOKIE_PATH }));
+};
+
+exports.clearMagicLinkDeviceCookie = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+  res.cookie('magicLinkDevice', 'none', cookieOptions(expires, { path: REFRESH_COOKIE_PATH }));
+};
+
+// Anonymous cart token for guest shoppers (also accepted in the X-Cart-Token header)
+exports.setCartTokenCookie = (res, cartToken) => {
+  const expires = new Date(Date.now() + config.guestCartExpireDays * 24 * 60 * 60 * 1000);
+  res.cookie('cartToken', cartToken, cookieOptions(expires, { path: '/api/v1' }));
+};
+
+exports.clearCartTokenCookie = (res) => {
+  res.cookie('cartToken', 'none', cookieOptions(new Date(Date.now() + 10 * 1000), { path: '/api/v1' }));
+};
+
+// Overwrite the auth and CSRF cookies so the browser drops them
+exports.clearAuthCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+
+  res.cookie('token', 'none', cookieOptions(expires));
+  res.cookie('refreshToken', 'none', cookieOptions(expires, { path: REFRESH_COOKIE_PATH }));
+  res.cookie('csrfToken', 'none', cookieOptions(expires, { httpOnly: false }));
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Generate a random 160-bit secret, base32 encoded for authenticator apps
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI that authenticator apps can import (usually via QR code)
+exports.keyUri = (accountName, issuer, secret) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS.toString(),
+    period: STEP_SECONDS.toString(),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+exports.generate = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+// Check a code against the current step +/- `window` steps to allow for clock drift.
+// Returns the matched time step so callers can reject replays, or null.
+exports.verify = (code, secret, window = 1) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const step = currentStep();
+
+  for (let i = -window; i <= window; i++) {
+    const candidate = hotp(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return step + i;
+    }
+  }
+
+  return null;
+};